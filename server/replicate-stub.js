@@ -0,0 +1,591 @@
+/**
+ * Replicate Stub Server
+ * Local stand-in for the API proxy at VITE_BASE_URL_API, implementing the subset of the
+ * Replicate HTTP API used by src/services/replicate.js, so model configs can be exercised
+ * end to end without a token or network access
+ *
+ * Usage:
+ *   npm run stub-server
+ *   PORT=8787 STUB_SCENARIO=slow npm run stub-server
+ *
+ * Endpoints:
+ * - POST /v1/models/{owner}/{name}/predictions  (official models)
+ * - POST /v1/predictions                        (version in body)
+ * - GET  /v1/predictions/{id}                   (polling, what urls.get points to)
+ * - POST /v1/predictions/{id}/cancel
+ * - GET  /stream/v1/files/{id}                  (server-sent events, what urls.stream points to)
+ * - GET  /files/{id}/{index}.svg                (generated output images)
+ * - GET  /v1/models/{owner}/{name}[/versions/{id}] (OpenAPI schemas from src/services/models/schemas)
+ *
+ * Scenarios, picked from the X-Stub-Scenario header, a keyword in the input, or STUB_SCENARIO:
+ * - succeed      Finishes after ~2s (default)
+ * - slow         Runs for ~20s and ignores `Prefer: wait`, so the client has to poll
+ * - fail         "[fail]" - ends with status "failed", an error and logs
+ * - canceled     "[canceled]" - canceled server-side before finishing
+ * - rate-limit   "[rate-limit]" - the first 2 create requests get 429 with Retry-After
+ */
+
+import http from 'node:http'
+import { randomUUID, createHash } from 'node:crypto'
+import { readFile } from 'node:fs/promises'
+
+const PORT = Number(process.env.PORT) || 8787
+const PUBLIC_URL = process.env.STUB_PUBLIC_URL || `http://localhost:${PORT}`
+const DEFAULT_SCENARIO = process.env.STUB_SCENARIO || 'succeed'
+
+// urls.get / urls.stream use the real hosts so the client's proxy rewrite is exercised too
+const REPLICATE_API_URL = 'https://api.replicate.com'
+const REPLICATE_STREAM_URL = 'https://stream.replicate.com'
+
+const MAX_PREFER_WAIT = 60 // seconds, same cap as Replicate
+const PREDICTION_TTL = 60 * 60 * 1000 // Forget predictions after an hour
+const TICK = 100 // ms between checks while holding a request open
+
+const SCENARIOS = {
+  succeed: { duration: 2000 },
+  slow: { duration: 20000, ignoreWait: true },
+  fail: { duration: 3000, fail: true },
+  canceled: { duration: 3000, cancel: true },
+  'rate-limit': { duration: 2000, throttledRequests: 2 }
+}
+
+/**
+ * Models known to the stub
+ * output: 'images' (array of URLs), 'image' (single URL string) or 'text' (array of tokens)
+ * Keep in sync with src/services/models
+ */
+const MODELS = [
+  { owner: 'google', name: 'nano-banana-pro', output: 'images' },
+  { owner: 'bytedance', name: 'seedream-4', output: 'images' },
+  { owner: 'openai', name: 'gpt-image-1', output: 'images' },
+  { owner: 'openai', name: 'gpt-5', output: 'text' },
+  {
+    owner: 'tmappdev',
+    name: 'lang-segment-anything',
+    version: '891411c38a6ed2d44c004b7b9e44217df7a5b07848f29ddefd2e28bc7cbf93bc',
+    output: 'image'
+  }
+]
+
+// Input schemas bundled with the app, served as the models' openapi_schema
+const SCHEMAS_DIR = new URL('../src/services/models/schemas/', import.meta.url)
+
+const predictions = new Map()
+// Create attempts per request body, for the rate-limit scenario
+const throttleCounts = new Map()
+
+/**
+ * Pick the scenario for a create request
+ * @param {http.IncomingMessage} req
+ * @param {Object} input - Prediction input
+ * @returns {string} Scenario name
+ */
+function resolveScenario(req, input) {
+  const header = req.headers['x-stub-scenario']
+  if (header && SCENARIOS[header]) return header
+
+  const text = JSON.stringify(input)
+  const keyword = Object.keys(SCENARIOS).find(name => text.includes(`[${name}]`))
+  if (keyword) return keyword
+
+  return SCENARIOS[DEFAULT_SCENARIO] ? DEFAULT_SCENARIO : 'succeed'
+}
+
+/**
+ * Seconds to hold a create request open, from a `Prefer: wait` or `Prefer: wait=N` header
+ * @param {string} [header]
+ * @returns {number} 0 when the client does not want to wait
+ */
+function parsePreferWait(header) {
+  const match = /\bwait(?:=(\d+))?/.exec(header || '')
+  if (!match) return 0
+  return Math.min(Number(match[1] || MAX_PREFER_WAIT), MAX_PREFER_WAIT)
+}
+
+/**
+ * Number of images a request asks for
+ * @param {Object} input
+ * @returns {number}
+ */
+function getImageCount(input) {
+  if (input.number_of_images) return Number(input.number_of_images) || 1
+  if (input.sequential_image_generation === 'auto') return Number(input.max_images) || 1
+  return 1
+}
+
+/**
+ * Fake text output, split in tokens the way Replicate streams it
+ * @param {Object} input
+ * @returns {Array<string>}
+ */
+function buildTextTokens(input) {
+  const prompt = String(input.prompt || '').slice(0, 80)
+  const text = `This is a stub response to "${prompt}". ` +
+    'It was generated locally by the Replicate stub server, so no model was called. ' +
+    'Use it to check how the app handles text output, streaming and errors.'
+
+  return text.match(/\S+\s*/g)
+}
+
+/**
+ * Escape text for use inside SVG markup
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`)
+}
+
+/**
+ * Draw an output image: a gradient seeded by the prediction plus the prompt and model
+ * @param {Object} prediction
+ * @param {number} index - Image index within the output
+ * @returns {string} SVG markup
+ */
+function renderImage(prediction, index) {
+  const hash = createHash('sha256').update(`${prediction.id}:${index}`).digest()
+  const hueA = hash[0] * 360 / 256
+  const hueB = (hueA + 60 + hash[1] % 180) % 360
+  const prompt = String(prediction.input.prompt || prediction.input.text_prompt || '').slice(0, 120)
+
+  const lines = []
+  let line = ''
+  prompt.split(/\s+/).filter(Boolean).forEach(word => {
+    if ((line + ' ' + word).length > 32 && line) {
+      lines.push(line)
+      line = word
+    } else {
+      line = line ? `${line} ${word}` : word
+    }
+  })
+  if (line) lines.push(line)
+
+  const textLines = lines.slice(0, 6).map((text, lineIndex) =>
+    `<text x="32" y="${120 + lineIndex * 34}" font-size="26">${escapeXml(text)}</text>`
+  ).join('')
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="512" height="512" viewBox="0 0 512 512">` +
+    `<defs><linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">` +
+    `<stop offset="0" stop-color="hsl(${hueA.toFixed(0)}, 70%, 55%)"/>` +
+    `<stop offset="1" stop-color="hsl(${hueB.toFixed(0)}, 70%, 35%)"/>` +
+    `</linearGradient></defs>` +
+    `<rect width="512" height="512" fill="url(#bg)"/>` +
+    `<g font-family="sans-serif" fill="#fff">` +
+    `<text x="32" y="60" font-size="18" opacity="0.8">${escapeXml(prediction.model)} · stub #${index + 1}</text>` +
+    textLines +
+    `<text x="32" y="480" font-size="14" opacity="0.7">${escapeXml(prediction.id)}</text>` +
+    `</g></svg>`
+}
+
+/**
+ * Build the output for a finished prediction
+ * @param {Object} prediction
+ * @returns {Array<string>|string}
+ */
+function buildOutput(prediction) {
+  if (prediction.output === 'text') {
+    return buildTextTokens(prediction.input)
+  }
+
+  const urls = Array.from({ length: getImageCount(prediction.input) }, (_, index) =>
+    `${PUBLIC_URL}/files/${prediction.id}/${index}.svg`
+  )
+
+  return prediction.output === 'image' ? urls[0] : urls
+}
+
+/**
+ * Fake logs up to a point of the run, in the tqdm format the client parses for progress
+ * @param {number} fraction - Progress between 0 and 1
+ * @returns {string}
+ */
+function buildLogs(fraction) {
+  const steps = 10
+  const done = Math.min(steps, Math.floor(fraction * steps))
+  const lines = ['Loading stub model...']
+
+  for (let step = 1; step <= done; step++) {
+    const percent = String(step * 10).padStart(3)
+    lines.push(`${percent}%|${'█'.repeat(step)}${' '.repeat(steps - step)}| ${step}/${steps}`)
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * Current state of a prediction, derived from the time since it was created
+ * @param {Object} prediction - Stored prediction
+ * @returns {Object} Prediction in Replicate's response shape
+ */
+function viewPrediction(prediction) {
+  const { duration, fail, cancel } = SCENARIOS[prediction.scenario]
+  const elapsed = Date.now() - prediction.createdAt
+  const fraction = Math.min(1, elapsed / duration)
+
+  let status = 'starting'
+  let output = null
+  let error = null
+  let logs = ''
+  let completedAt = null
+
+  if (prediction.canceledAt || (cancel && fraction >= 0.5)) {
+    status = 'canceled'
+    const canceledAt = prediction.canceledAt || prediction.createdAt + duration * 0.5
+    logs = buildLogs((canceledAt - prediction.createdAt) / duration)
+    completedAt = canceledAt
+  } else if (fraction >= 1) {
+    logs = buildLogs(fail ? 0.6 : 1)
+    completedAt = prediction.createdAt + duration
+
+    if (fail) {
+      status = 'failed'
+      error = 'Stub prediction failed (scenario "fail")'
+      logs += '\nTraceback (most recent call last):\n  File "predict.py", line 42, in predict\nRuntimeError: CUDA out of memory (stub)'
+    } else {
+      status = 'succeeded'
+      output = buildOutput(prediction)
+    }
+  } else if (fraction >= 0.1) {
+    status = 'processing'
+    logs = buildLogs(fraction)
+  }
+
+  const view = {
+    id: prediction.id,
+    model: prediction.model,
+    version: prediction.version,
+    input: prediction.input,
+    logs,
+    output,
+    error,
+    status,
+    created_at: new Date(prediction.createdAt).toISOString(),
+    started_at: status === 'starting' ? null : new Date(prediction.createdAt + duration * 0.1).toISOString(),
+    completed_at: completedAt ? new Date(completedAt).toISOString() : null,
+    urls: {
+      get: `${REPLICATE_API_URL}/v1/predictions/${prediction.id}`,
+      cancel: `${REPLICATE_API_URL}/v1/predictions/${prediction.id}/cancel`
+    },
+    metrics: completedAt ? { predict_time: (completedAt - prediction.createdAt) / 1000 } : {}
+  }
+
+  if (prediction.stream) {
+    view.urls.stream = `${REPLICATE_STREAM_URL}/v1/files/${prediction.id}`
+  }
+
+  return view
+}
+
+/**
+ * Whether a prediction status is final
+ * @param {string} status
+ * @returns {boolean}
+ */
+function isTerminal(status) {
+  return status === 'succeeded' || status === 'failed' || status === 'canceled'
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers })
+  res.end(JSON.stringify(body))
+}
+
+function sendError(res, status, title, detail, headers) {
+  sendJson(res, status, { title, detail, status }, headers)
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>}
+ */
+async function readJson(req) {
+  let body = ''
+  for await (const chunk of req) {
+    body += chunk
+  }
+  return body ? JSON.parse(body) : {}
+}
+
+/**
+ * Resolve after a delay
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Drop old predictions and throttle counters
+ */
+function pruneState() {
+  const cutoff = Date.now() - PREDICTION_TTL
+  for (const [id, prediction] of predictions) {
+    if (prediction.createdAt < cutoff) predictions.delete(id)
+  }
+  if (throttleCounts.size > 1000) throttleCounts.clear()
+}
+
+/**
+ * POST /v1/models/{owner}/{name}/predictions and POST /v1/predictions
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {Object|null} pathModel - Model from the URL, null for version-in-body requests
+ */
+async function handleCreatePrediction(req, res, pathModel) {
+  let body
+  try {
+    body = await readJson(req)
+  } catch {
+    sendError(res, 400, 'Invalid JSON', 'The request body is not valid JSON')
+    return
+  }
+
+  let model = pathModel
+  if (!model) {
+    const version = String(body.version || '').split(':').pop()
+    model = MODELS.find(entry => entry.version === version)
+    if (!model) {
+      sendError(res, 422, 'Invalid version', `Version "${body.version}" does not exist or you don't have access to it`)
+      return
+    }
+  }
+
+  if (!body.input || typeof body.input !== 'object') {
+    sendError(res, 422, 'Input validation failed', 'input: input is required')
+    return
+  }
+
+  const scenario = resolveScenario(req, body.input)
+
+  if (scenario === 'rate-limit') {
+    const key = createHash('sha256').update(JSON.stringify(body)).digest('hex')
+    const attempts = (throttleCounts.get(key) || 0) + 1
+    throttleCounts.set(key, attempts)
+
+    if (attempts <= SCENARIOS['rate-limit'].throttledRequests) {
+      sendError(res, 429, 'Request was throttled', 'Request was throttled. Expected available in 1 second.', {
+        'Retry-After': '1'
+      })
+      return
+    }
+    throttleCounts.delete(key)
+  }
+
+  pruneState()
+
+  const prediction = {
+    id: randomUUID().replace(/-/g, '').slice(0, 26),
+    model: `${model.owner}/${model.name}`,
+    version: model.version || null,
+    output: model.output,
+    input: body.input,
+    scenario,
+    stream: Boolean(body.stream),
+    createdAt: Date.now(),
+    canceledAt: null
+  }
+  predictions.set(prediction.id, prediction)
+  console.log(`Created prediction ${prediction.id} (${prediction.model}, scenario: ${scenario})`)
+
+  // Prefer: wait holds the response until the prediction finishes or the wait runs out
+  const wait = SCENARIOS[scenario].ignoreWait ? 0 : parsePreferWait(req.headers.prefer)
+  const waitUntil = Date.now() + wait * 1000
+  let closed = false
+  res.on('close', () => { closed = true })
+
+  while (!closed && Date.now() < waitUntil && !isTerminal(viewPrediction(prediction).status)) {
+    await sleep(TICK)
+  }
+
+  if (!closed) {
+    sendJson(res, 201, viewPrediction(prediction))
+  }
+}
+
+/**
+ * GET /stream/v1/files/{id} - streams text output as server-sent events
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {Object} prediction - Stored prediction
+ */
+async function handleStream(req, res, prediction) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    'Connection': 'keep-alive'
+  })
+
+  const send = (event, data) => {
+    const lines = String(data).split('\n').map(line => `data: ${line}`).join('\n')
+    res.write(`event: ${event}\n${lines}\n\n`)
+  }
+
+  let closed = false
+  res.on('close', () => { closed = true })
+
+  const { duration } = SCENARIOS[prediction.scenario]
+  const tokens = prediction.output === 'text' ? buildTextTokens(prediction.input) : []
+  let sent = 0
+
+  while (!closed) {
+    const view = viewPrediction(prediction)
+
+    // Tokens are spread over the processing phase
+    const fraction = Math.min(1, (Date.now() - prediction.createdAt) / duration)
+    const due = view.status === 'succeeded' ? tokens.length : Math.floor(Math.max(0, fraction - 0.1) / 0.9 * tokens.length)
+    while (view.status !== 'failed' && view.status !== 'canceled' && sent < due) {
+      send('output', tokens[sent++])
+    }
+
+    if (view.status === 'failed') {
+      send('error', view.error)
+      send('done', '{}')
+      break
+    }
+    if (view.status === 'canceled') {
+      send('done', JSON.stringify({ reason: 'canceled' }))
+      break
+    }
+    if (view.status === 'succeeded') {
+      send('done', '{}')
+      break
+    }
+
+    await sleep(TICK)
+  }
+
+  res.end()
+}
+
+/**
+ * Load the bundled OpenAPI schema of a model
+ * @param {Object} model - Entry of MODELS
+ * @returns {Promise<Object|null>} Schema, or null if none is bundled
+ */
+async function loadSchema(model) {
+  try {
+    return JSON.parse(await readFile(new URL(`${model.name}.json`, SCHEMAS_DIR), 'utf8'))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Route a request
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function handleRequest(req, res) {
+  const { pathname } = new URL(req.url, PUBLIC_URL)
+  let match
+
+  // Output files and streams are public, like replicate.delivery and stream.replicate.com
+  if (req.method === 'GET' && (match = /^\/files\/(\w+)\/(\d+)\.svg$/.exec(pathname))) {
+    const prediction = predictions.get(match[1])
+    if (!prediction) {
+      sendError(res, 404, 'Not found', 'File not found')
+      return
+    }
+    res.writeHead(200, { 'Content-Type': 'image/svg+xml', 'Cache-Control': 'no-store' })
+    res.end(renderImage(prediction, Number(match[2])))
+    return
+  }
+
+  if (req.method === 'GET' && (match = /^\/stream\/v1\/files\/(\w+)$/.exec(pathname))) {
+    const prediction = predictions.get(match[1])
+    if (!prediction?.stream) {
+      sendError(res, 404, 'Not found', 'Stream not found')
+      return
+    }
+    await handleStream(req, res, prediction)
+    return
+  }
+
+  if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+    sendError(res, 401, 'Unauthenticated', 'You did not pass a valid authentication token')
+    return
+  }
+
+  if (req.method === 'POST' && (match = /^\/v1\/models\/([\w.-]+)\/([\w.-]+)\/predictions$/.exec(pathname))) {
+    const model = MODELS.find(entry => entry.owner === match[1] && entry.name === match[2])
+    if (!model) {
+      sendError(res, 404, 'Not found', 'The requested resource could not be found.')
+      return
+    }
+    await handleCreatePrediction(req, res, model)
+    return
+  }
+
+  if (req.method === 'GET' && (match = /^\/v1\/models\/([\w.-]+)\/([\w.-]+)(?:\/versions\/(\w+))?$/.exec(pathname))) {
+    const model = MODELS.find(entry => entry.owner === match[1] && entry.name === match[2])
+    if (!model) {
+      sendError(res, 404, 'Not found', 'The requested resource could not be found.')
+      return
+    }
+
+    const version = { id: model.version || `${model.name}-stub`, openapi_schema: await loadSchema(model) }
+    sendJson(res, 200, match[3] ? version : { owner: model.owner, name: model.name, latest_version: version })
+    return
+  }
+
+  if (req.method === 'POST' && pathname === '/v1/predictions') {
+    await handleCreatePrediction(req, res, null)
+    return
+  }
+
+  if ((match = /^\/v1\/predictions\/(\w+)(\/cancel)?$/.exec(pathname))) {
+    const prediction = predictions.get(match[1])
+    const isCancel = Boolean(match[2])
+
+    if (req.method !== (isCancel ? 'POST' : 'GET')) {
+      sendError(res, 405, 'Method not allowed', `${req.method} is not allowed here`)
+      return
+    }
+
+    if (!prediction) {
+      sendError(res, 404, 'Not found', 'The requested resource could not be found.')
+      return
+    }
+
+    if (isCancel && !isTerminal(viewPrediction(prediction).status)) {
+      prediction.canceledAt = Date.now()
+      console.log(`Canceled prediction ${prediction.id}`)
+    }
+
+    sendJson(res, 200, viewPrediction(prediction))
+    return
+  }
+
+  sendError(res, 404, 'Not found', 'The requested resource could not be found.')
+}
+
+const server = http.createServer((req, res) => {
+  // The app runs on another origin (Vite dev server)
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Prefer, Accept, Cache-Control, X-Stub-Scenario')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After')
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204)
+    res.end()
+    return
+  }
+
+  console.log(`${req.method} ${req.url}`)
+
+  handleRequest(req, res).catch(error => {
+    console.error('Stub server error:', error)
+    if (!res.headersSent) {
+      sendError(res, 500, 'Internal server error', error.message)
+    } else {
+      res.end()
+    }
+  })
+})
+
+server.listen(PORT, () => {
+  console.log(`Replicate stub server listening on ${PUBLIC_URL} (default scenario: ${DEFAULT_SCENARIO})`)
+})
@@ -0,0 +1,178 @@
+/**
+ * Composable for Autosave
+ * Loads a project onto the canvas and saves it back shortly after every change
+ */
+
+import { ref, watch, onUnmounted } from 'vue'
+import { exportFlow, importFlow } from '@/lib/flow-io'
+import { createFlowThumbnail } from '@/lib/flow-thumbnail'
+import flowProjects from '@/services/flow-projects'
+
+// Wait for a pause in edits before writing (dragging a node changes it on every frame)
+const AUTOSAVE_DELAY = 1000
+
+export function useAutosave(flowStore, { addEdges }) {
+  const isActive = ref(false)
+  const project = ref(null)
+
+  let projectId = null
+  let timer = null
+  let stopWatching = null
+  let lastSavedJson = null
+  let hasReportedError = false
+
+  /**
+   * Serialize the canvas for comparison (without the export timestamp, which changes every time)
+   * @returns {string}
+   */
+  function serializeFlow() {
+    const { createdAt, ...flow } = exportFlow(flowStore)
+    return JSON.stringify(flow)
+  }
+
+  /**
+   * Write the current flow to the project if it changed since the last save
+   */
+  async function save() {
+    timer = null
+
+    const id = projectId
+    const json = serializeFlow()
+    if (!id || json === lastSavedJson) return
+
+    try {
+      // Plain copy: reactive proxies can't be stored in IndexedDB
+      const flow = { ...JSON.parse(json), createdAt: new Date().toISOString() }
+      const saved = await flowProjects.saveFlow(id, flow, createFlowThumbnail(flow))
+      lastSavedJson = json
+      if (project.value?.id === id) project.value = saved
+      hasReportedError = false
+    } catch (error) {
+      console.error('Autosave failed:', error)
+
+      // Report once, not on every edit
+      if (!hasReportedError) {
+        hasReportedError = true
+        flowStore.setError(`Autosave failed: ${error.message || 'storage unavailable'}. Export the flow to keep your work.`)
+        setTimeout(() => flowStore.clearError(), 5000)
+      }
+    }
+  }
+
+  function scheduleSave() {
+    clearTimeout(timer)
+    timer = setTimeout(save, AUTOSAVE_DELAY)
+  }
+
+  /**
+   * Save right away if a save is waiting (the page is being hidden or closed)
+   */
+  function flush() {
+    if (timer) {
+      clearTimeout(timer)
+      save()
+    }
+  }
+
+  function onVisibilityChange() {
+    if (document.visibilityState === 'hidden') flush()
+  }
+
+  /**
+   * Start saving changes to the loaded project
+   * Only call it once the canvas holds the project (see loadProject)
+   */
+  function start() {
+    if (isActive.value || !projectId) return
+
+    isActive.value = true
+    stopWatching = watch(
+      [() => flowStore.nodes, () => flowStore.edges],
+      scheduleSave,
+      { deep: true }
+    )
+    window.addEventListener('pagehide', flush)
+    document.addEventListener('visibilitychange', onVisibilityChange)
+
+    // Write a repaired project back without waiting for an edit
+    if (lastSavedJson === null) scheduleSave()
+  }
+
+  /**
+   * Stop saving changes (a pending save is written first)
+   */
+  function stop() {
+    if (!isActive.value) return
+
+    flush()
+    stopWatching?.()
+    stopWatching = null
+    isActive.value = false
+    window.removeEventListener('pagehide', flush)
+    document.removeEventListener('visibilitychange', onVisibilityChange)
+  }
+
+  /**
+   * Load a project onto the canvas
+   * Autosave is stopped first, so the previous project keeps its last changes
+   * @param {string} id - Project ID
+   * @param {Object} [options] - Import options (see importFlow)
+   * @returns {Promise<Object>} Import result (see importFlow)
+   */
+  async function loadProject(id, options = {}) {
+    stop()
+    projectId = null
+    project.value = null
+
+    let stored
+    let flow
+    try {
+      [stored, flow] = await Promise.all([flowProjects.get(id), flowProjects.loadFlow(id)])
+    } catch (error) {
+      console.error('Failed to open project:', error)
+      return { success: false, error: `Failed to open project: ${error.message}` }
+    }
+
+    if (!stored) {
+      return { success: false, error: 'Project not found' }
+    }
+
+    flowStore.reset()
+
+    let repaired = false
+    if (flow) {
+      // The project's own nodes pick up the predictions they were waiting for
+      const result = await importFlow(flow, flowStore, { addEdges }, { ...options, resumePending: true })
+      if (!result.success) return result
+      repaired = result.repaired
+    }
+
+    projectId = id
+    project.value = stored
+    // Nothing to write until the loaded canvas changes, unless it was repaired
+    lastSavedJson = repaired ? null : serializeFlow()
+
+    return { success: true }
+  }
+
+  /**
+   * Rename the loaded project
+   * @param {string} name
+   * @returns {Promise<void>}
+   */
+  async function renameProject(name) {
+    if (!projectId) return
+    project.value = await flowProjects.rename(projectId, name)
+  }
+
+  onUnmounted(stop)
+
+  return {
+    isActive,
+    project,
+    start,
+    stop,
+    loadProject,
+    renameProject
+  }
+}
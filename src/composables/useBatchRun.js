@@ -0,0 +1,129 @@
+/**
+ * Composable for Batch Runs
+ * Runs the generators downstream of a template node once per table row
+ * and collects their outputs with the row's values
+ */
+
+import { ref } from 'vue'
+import graphExecutor, { RUN_STATUS } from '@/lib/graph-executor'
+import { getDownstreamNodeIds } from '@/lib/graph'
+import { getNodeOutput } from '@/lib/batch-table'
+
+/**
+ * Result of one batch row
+ * @typedef {Object} BatchResult
+ * @property {number} row - Row index in the table
+ * @property {Object} variables - Variable values used for the row
+ * @property {string} prompt - Filled template
+ * @property {string} status - 'succeeded', 'failed' or 'canceled'
+ * @property {string|null} error - Why the row failed
+ * @property {Array<Object>} outputs - For every downstream generator: { nodeId, label, kind, value } for text,
+ *   { nodeId, label, kind, historyId } for images (kept in the generator's history, see resolveBatchResults)
+ */
+
+/**
+ * @param {string} nodeId - Template node ID
+ * @param {Object} flowStore - Pinia flow store instance
+ * @param {Object} options
+ * @param {Function} options.applyVariables - Sets the template variables and returns the filled prompt
+ */
+export function useBatchRun(nodeId, flowStore, { applyVariables }) {
+  const isRunning = ref(false)
+  const currentRow = ref(-1)
+  let stopRequested = false
+
+  /**
+   * Get the runnable generators downstream of the template node
+   * @returns {Set<string>}
+   */
+  function getTargetNodeIds() {
+    const downstream = getDownstreamNodeIds(nodeId, flowStore.edges)
+    return new Set(graphExecutor.plan(flowStore.nodes, flowStore.edges, null, downstream))
+  }
+
+  /**
+   * Run the downstream generators once per row
+   * A failed row is recorded and the batch moves on; a canceled generation stops the batch
+   * @param {Array<Object>} rowVariables - Variable values for every row
+   * @param {Function} [onResult] - Called with every BatchResult as soon as its row finishes
+   * @returns {Promise<Array<BatchResult>>}
+   * @throws {Error} If nothing runnable is connected downstream or another run is in progress
+   */
+  async function runBatch(rowVariables, onResult = () => {}) {
+    if (isRunning.value) return []
+
+    const targets = getTargetNodeIds()
+    if (targets.size === 0) {
+      throw new Error('Connect a generator node downstream to run a batch')
+    }
+    if (graphExecutor.isRunning) {
+      throw new Error('A run is already in progress')
+    }
+
+    isRunning.value = true
+    stopRequested = false
+    const results = []
+
+    try {
+      for (let row = 0; row < rowVariables.length && !stopRequested; row++) {
+        currentRow.value = row
+        const variables = rowVariables[row]
+        const prompt = applyVariables(variables)
+
+        flowStore.clearNodeStatus()
+        const errors = []
+        const run = await graphExecutor.run(flowStore.nodes, flowStore.edges, {
+          onlyNodeIds: targets,
+          onStatus: (id, status, error) => {
+            flowStore.setNodeStatus(id, status)
+            if (error) errors.push(error.message || String(error))
+          }
+        })
+
+        const status = run.canceled.length > 0
+          ? RUN_STATUS.CANCELED
+          : run.failed.length > 0 || run.skipped.length > 0 ? RUN_STATUS.FAILED : RUN_STATUS.SUCCEEDED
+
+        // Only nodes that produced something for this row
+        const outputs = run.succeeded
+          .map(id => flowStore.nodes.find(node => node.id === id))
+          .filter(Boolean)
+          .map(node => ({ nodeId: node.id, label: node.data?.label || node.id, ...getNodeOutput(node) }))
+          .filter(output => output.kind)
+
+        const result = {
+          row,
+          variables,
+          prompt,
+          status,
+          error: errors.join('; ') || null,
+          outputs
+        }
+
+        results.push(result)
+        onResult(result)
+
+        if (status === RUN_STATUS.CANCELED) break
+      }
+    } finally {
+      isRunning.value = false
+      currentRow.value = -1
+    }
+
+    return results
+  }
+
+  /**
+   * Stop the batch once the current row finishes
+   */
+  function stopBatch() {
+    stopRequested = true
+  }
+
+  return {
+    isRunning,
+    currentRow,
+    runBatch,
+    stopBatch
+  }
+}
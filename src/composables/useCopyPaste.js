@@ -42,6 +42,9 @@ export function useCopyPaste(flowStore, viewport, mousePosition) {
     // Use already cloned data from handleCopy
     const clonedData = { ...copiedNode.value.data }
 
+    // The prediction still running on the original node belongs to it alone
+    delete clonedData.pendingPrediction
+
     // Update label to indicate it's a copy
     if (clonedData.label) {
       clonedData.label = `${clonedData.label}`
@@ -8,7 +8,16 @@
 import { createNode, NODE_TYPES, getNodeIOConfig } from '@/lib/node-shapes'
 import { loadFlowFromFile } from '@/lib/flow-io'
 
-export function useDragAndDrop(viewport, createNodeAtPosition, isNodesMenuOpen, flowStore, vueFlowHelpers = {}) {
+/**
+ * @param {Object} viewport - VueFlow viewport ref
+ * @param {Function} createNodeAtPosition - Creates a node of a type at a canvas position
+ * @param {Object} isNodesMenuOpen - Ref to the nodes sidebar state
+ * @param {Object} flowStore - Pinia flow store instance
+ * @param {Object} vueFlowHelpers - VueFlow composable helpers (addEdges)
+ * @param {Object} [options]
+ * @param {Function} [options.confirmRepair] - Asks whether to repair a flow with broken references (see useFlowRepair)
+ */
+export function useDragAndDrop(viewport, createNodeAtPosition, isNodesMenuOpen, flowStore, vueFlowHelpers = {}, { confirmRepair } = {}) {
   let draggedNodeType = null
   let isDragging = false
 
@@ -93,7 +102,7 @@ export function useDragAndDrop(viewport, createNodeAtPosition, isNodesMenuOpen,
    */
   async function handleJsonFileDrop(file) {
     try {
-      const result = await loadFlowFromFile(file, flowStore, vueFlowHelpers)
+      const result = await loadFlowFromFile(file, flowStore, vueFlowHelpers, { confirmRepair })
 
       if (result.success) {
         console.log('Flow loaded from dropped file:', file.name)
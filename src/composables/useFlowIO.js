@@ -6,7 +6,13 @@
 import { ref } from 'vue'
 import { downloadFlow, loadFlowFromFile } from '@/lib/flow-io'
 
-export function useFlowIO(flowStore, { addEdges }) {
+/**
+ * @param {Object} flowStore - Pinia flow store instance
+ * @param {Object} options
+ * @param {Function} options.addEdges - VueFlow addEdges
+ * @param {Function} [options.confirmRepair] - Asks whether to repair a flow with broken references (see useFlowRepair)
+ */
+export function useFlowIO(flowStore, { addEdges, confirmRepair }) {
   const fileInput = ref(null)
 
   /**
@@ -37,7 +43,7 @@ export function useFlowIO(flowStore, { addEdges }) {
     if (!file) return
 
     try {
-      const result = await loadFlowFromFile(file, flowStore, { addEdges })
+      const result = await loadFlowFromFile(file, flowStore, { addEdges }, { confirmRepair })
 
       if (result.success) {
         console.log('Flow imported successfully')
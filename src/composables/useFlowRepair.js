@@ -0,0 +1,51 @@
+/**
+ * Composable for repairing imported flows
+ * Shows the broken references and data of a flow (see lib/flow-integrity) and asks
+ * whether to repair them before it is loaded
+ */
+
+import { ref } from 'vue'
+
+export function useFlowRepair() {
+  const isOpen = ref(false)
+  const issues = ref([])
+
+  let resolveAnswer = null
+
+  /**
+   * Ask whether to repair a flow that failed to import
+   * @param {Object} result - Result of importFlow / loadFlowFromFile
+   * @returns {Promise<boolean>} true if the user chose to repair (false right away if it can't be repaired)
+   */
+  function confirmRepair(result) {
+    if (!result?.repairable) return Promise.resolve(false)
+
+    // A previous question still open counts as cancelled
+    resolveAnswer?.(false)
+
+    issues.value = result.issues
+    isOpen.value = true
+
+    return new Promise((resolve) => {
+      resolveAnswer = resolve
+    })
+  }
+
+  /**
+   * Answer the open question
+   * @param {boolean} accepted - true to repair, false to cancel the import
+   */
+  function answer(accepted) {
+    isOpen.value = false
+    resolveAnswer?.(accepted)
+    resolveAnswer = null
+  }
+
+  return {
+    isOpen,
+    issues,
+    confirmRepair,
+    repair: () => answer(true),
+    cancel: () => answer(false)
+  }
+}
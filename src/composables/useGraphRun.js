@@ -0,0 +1,85 @@
+/**
+ * Composable for Graph Runs
+ * Handles "Run All", "Run up to selected node" and "Run stale" from the canvas
+ */
+
+import { ref } from 'vue'
+import graphExecutor from '@/lib/graph-executor'
+
+export function useGraphRun(flowStore) {
+  const isRunning = ref(false)
+
+  /**
+   * Execute the graph and report per-node status to the store
+   * @param {Object} [options] - Executor options (targetNodeId, onlyNodeIds)
+   */
+  async function runGraph(options = {}) {
+    if (isRunning.value) return
+
+    isRunning.value = true
+    flowStore.clearNodeStatus()
+
+    try {
+      const result = await graphExecutor.run(flowStore.nodes, flowStore.edges, {
+        ...options,
+        onStatus: (nodeId, status) => flowStore.setNodeStatus(nodeId, status)
+      })
+
+      if (result.failed.length > 0) {
+        flowStore.setError(`${result.failed.length} node(s) failed, ${result.skipped.length} skipped`)
+        setTimeout(() => flowStore.clearError(), 5000)
+      } else if (result.canceled.length > 0) {
+        flowStore.setError(`Run canceled, ${result.skipped.length} node(s) skipped`)
+        setTimeout(() => flowStore.clearError(), 5000)
+      }
+    } catch (error) {
+      console.error('Error running graph:', error)
+      flowStore.setError(error.message || 'Failed to run flow')
+      setTimeout(() => flowStore.clearError(), 5000)
+    } finally {
+      isRunning.value = false
+    }
+  }
+
+  /**
+   * Run every generator node in the flow
+   */
+  function handleRunAll() {
+    return runGraph()
+  }
+
+  /**
+   * Run the selected node and everything upstream of it
+   */
+  function handleRunToSelected() {
+    const selectedNode = flowStore.nodes.find(n => n.selected)
+    if (!selectedNode) {
+      flowStore.setError('Select a node to run up to')
+      setTimeout(() => flowStore.clearError(), 3000)
+      return
+    }
+
+    return runGraph({ targetNodeId: selectedNode.id })
+  }
+
+  /**
+   * Re-run only the nodes whose output is stale
+   */
+  function handleRunStale() {
+    const staleNodeIds = new Set(flowStore.staleNodeIds)
+    if (staleNodeIds.size === 0) {
+      flowStore.setError('Nothing is stale - all outputs are up to date')
+      setTimeout(() => flowStore.clearError(), 3000)
+      return
+    }
+
+    return runGraph({ onlyNodeIds: staleNodeIds })
+  }
+
+  return {
+    isRunning,
+    handleRunAll,
+    handleRunToSelected,
+    handleRunStale
+  }
+}
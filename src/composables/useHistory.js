@@ -0,0 +1,168 @@
+/**
+ * Composable for Undo/Redo
+ * Records every change to the flow store as a history command (see lib/flow-history)
+ * and undoes/redoes them
+ */
+
+import { ref, computed, watch, nextTick, onUnmounted } from 'vue'
+import { snapshotFlow, diffSnapshots, canCoalesce, mergeCommands, applyCommand } from '@/lib/flow-history'
+
+// Wait for a pause in changes before recording (an import adds its edges after its nodes)
+const RECORD_DELAY = 300
+
+// Data edits of the same node closer than this are merged into one step (typing, streamed text)
+const COALESCE_WINDOW = 1000
+
+// Oldest steps are dropped beyond this
+const MAX_HISTORY = 100
+
+export function useHistory(flowStore, { addEdges }) {
+  const undoStack = ref([])
+  const redoStack = ref([])
+  const isApplying = ref(false)
+
+  const canUndo = computed(() => undoStack.value.length > 0)
+  const canRedo = computed(() => redoStack.value.length > 0)
+
+  let snapshot = null
+  let timer = null
+  let stopWatching = null
+  // Last recorded command, the only one later edits can be merged into
+  let lastRecorded = null
+
+  /**
+   * Record the changes made since the last snapshot
+   */
+  function record() {
+    timer = null
+
+    // A drag changes the position on every frame: record it once it ends
+    if (isApplying.value || flowStore.nodes.some(node => node.dragging)) {
+      scheduleRecord()
+      return
+    }
+
+    const next = snapshotFlow(flowStore)
+    const command = diffSnapshots(snapshot, next)
+    snapshot = next
+
+    if (!command) return
+
+    if (canCoalesce(lastRecorded, command, COALESCE_WINDOW)) {
+      const merged = mergeCommands(lastRecorded, command)
+      undoStack.value.pop()
+      if (merged) undoStack.value.push(merged)
+      lastRecorded = merged
+    } else {
+      undoStack.value.push(command)
+      lastRecorded = command
+
+      if (undoStack.value.length > MAX_HISTORY) {
+        undoStack.value.shift()
+      }
+    }
+
+    // A new change replaces what was undone
+    redoStack.value = []
+  }
+
+  function scheduleRecord() {
+    clearTimeout(timer)
+    timer = setTimeout(record, RECORD_DELAY)
+  }
+
+  /**
+   * Write down changes that are still waiting, so undo starts from the latest state
+   */
+  function flushRecord() {
+    if (timer) {
+      clearTimeout(timer)
+      record()
+    }
+  }
+
+  /**
+   * Apply one side of a command without recording it
+   * @param {Object} command
+   * @param {string} side - 'before' or 'after'
+   */
+  async function apply(command, side) {
+    isApplying.value = true
+
+    try {
+      await applyCommand(flowStore, command, side, { addEdges })
+      // Let restored nodes mount, so what they write on mount is not a new step
+      await nextTick()
+    } finally {
+      snapshot = snapshotFlow(flowStore)
+      lastRecorded = null
+      isApplying.value = false
+    }
+  }
+
+  /**
+   * Undo the last change
+   */
+  async function undo() {
+    if (isApplying.value) return
+    flushRecord()
+
+    const command = undoStack.value.pop()
+    if (!command) return
+
+    await apply(command, 'before')
+    redoStack.value.push(command)
+  }
+
+  /**
+   * Redo the last undone change
+   */
+  async function redo() {
+    if (isApplying.value) return
+    flushRecord()
+
+    const command = redoStack.value.pop()
+    if (!command) return
+
+    await apply(command, 'after')
+    undoStack.value.push(command)
+  }
+
+  /**
+   * Start recording changes from the current state of the flow
+   */
+  function start() {
+    if (stopWatching) return
+
+    snapshot = snapshotFlow(flowStore)
+    stopWatching = watch(
+      [() => flowStore.nodes, () => flowStore.edges],
+      scheduleRecord,
+      { deep: true }
+    )
+  }
+
+  /**
+   * Stop recording and forget the history
+   */
+  function stop() {
+    clearTimeout(timer)
+    timer = null
+    stopWatching?.()
+    stopWatching = null
+    undoStack.value = []
+    redoStack.value = []
+    lastRecorded = null
+  }
+
+  onUnmounted(stop)
+
+  return {
+    canUndo,
+    canRedo,
+    undo,
+    redo,
+    start,
+    stop
+  }
+}
@@ -1,11 +1,11 @@
 /**
  * Composable for Keyboard Shortcuts
- * Handles global keyboard shortcuts (Ctrl+C, Ctrl+V, Ctrl+G)
+ * Handles global keyboard shortcuts (Ctrl+C, Ctrl+V, Ctrl+G, Ctrl+Z, Ctrl+Shift+Z)
  */
 
 import { onMounted, onUnmounted } from 'vue'
 
-export function useKeyboardShortcuts({ handleCopy, handlePaste, handleGroup, copiedNode, flowStore }) {
+export function useKeyboardShortcuts({ handleCopy, handlePaste, handleGroup, handleUndo, handleRedo, copiedNode, flowStore }) {
   /**
    * Handle keyboard shortcuts
    */
@@ -44,6 +44,17 @@ export function useKeyboardShortcuts({ handleCopy, handlePaste, handleGroup, cop
       event.preventDefault()
       handleGroup()
     }
+
+    // Check for Ctrl+Z / Ctrl+Shift+Z or Cmd (Mac) - Undo/redo canvas edits
+    // Editable fields keep the browser's own text undo
+    if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z' && !isEditableField) {
+      event.preventDefault()
+      if (event.shiftKey) {
+        handleRedo()
+      } else {
+        handleUndo()
+      }
+    }
   }
 
   // Setup keyboard listeners
@@ -0,0 +1,49 @@
+/**
+ * Composable for restoring the last session
+ * When the app starts on the project list, offers to reopen the project edited last
+ * ("restore last session") or to start a new one ("start fresh")
+ */
+
+import { ref } from 'vue'
+
+// Offered once per page load: not when the list is shown again, nor after the app opened on a project
+let isSessionStarted = false
+
+/**
+ * Note that the session already started (a project was opened), so there is nothing to offer
+ */
+export function markSessionStarted() {
+  isSessionStarted = true
+}
+
+export function useLastSession() {
+  const lastSession = ref(null)
+
+  /**
+   * Offer the project edited last, the first time the list is shown
+   * @param {Array<Object>} projects - Projects, most recently edited first (see flowProjects.list)
+   */
+  function offer(projects) {
+    if (isSessionStarted) return
+    isSessionStarted = true
+
+    // An empty project has nothing to restore
+    const last = projects[0]
+    if (last?.nodeCount > 0) {
+      lastSession.value = last
+    }
+  }
+
+  /**
+   * Close the offer
+   */
+  function dismiss() {
+    lastSession.value = null
+  }
+
+  return {
+    lastSession,
+    offer,
+    dismiss
+  }
+}
@@ -0,0 +1,19 @@
+/**
+ * Composable for Node Runners
+ * Registers a node's run function with the graph executor while the node is mounted
+ */
+
+import { onMounted, onUnmounted } from 'vue'
+import graphExecutor from '@/lib/graph-executor'
+
+export function useNodeRunner(nodeId, run) {
+  onMounted(() => {
+    graphExecutor.registerRunner(nodeId, run)
+  })
+
+  onUnmounted(() => {
+    graphExecutor.unregisterRunner(nodeId)
+  })
+
+  return {}
+}
@@ -0,0 +1,363 @@
+/**
+ * Batch table utilities
+ * Parses the rows attached to a PromptTemplateNode (pasted CSV or a JSON array),
+ * maps their columns to template variables, and exports the collected batch results
+ */
+
+/**
+ * Maximum number of rows in a batch (every row runs the downstream generators once)
+ */
+export const MAX_BATCH_ROWS = 200
+
+const CSV_DELIMITERS = [',', ';', '\t']
+
+/**
+ * Batch table attached to a template node
+ * @typedef {Object} BatchTable
+ * @property {Array<string>} columns - Column names, in order
+ * @property {Array<Object>} rows - Rows as { [column]: string }
+ * @property {string} source - 'csv' or 'json'
+ */
+
+/**
+ * Find the variables used in a template ("A {{ANIMAL}} in {{PLACE}}" → ['ANIMAL', 'PLACE'])
+ * @param {string} template
+ * @returns {Array<string>} Variable names, in order of first use
+ */
+export function detectTemplateVariables(template) {
+  if (!template) return []
+
+  const regex = /\{\{([^}]+)\}\}/g
+  const variables = []
+  let match
+
+  while ((match = regex.exec(template)) !== null) {
+    const variableName = match[1].trim()
+    if (!variables.includes(variableName)) {
+      variables.push(variableName)
+    }
+  }
+
+  return variables
+}
+
+/**
+ * Replace the {{VARIABLE}} placeholders of a template
+ * Placeholders without a value are removed
+ * @param {string} template
+ * @param {Object} variables - Values by variable name
+ * @returns {string}
+ */
+export function fillTemplate(template, variables = {}) {
+  if (!template) return ''
+
+  let result = template
+
+  detectTemplateVariables(template).forEach(variable => {
+    const value = variables[variable]
+    const escaped = variable.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    const regex = new RegExp(`\\{\\{\\s*${escaped}\\s*\\}\\}`, 'g')
+    const replacement = value !== undefined && value !== null && String(value).trim() ? String(value) : ''
+
+    // Function replacement so "$" in values is kept as is
+    result = result.replace(regex, () => replacement)
+  })
+
+  return result
+}
+
+/**
+ * Pick the delimiter used in a CSV header line
+ * @param {string} line
+ * @returns {string}
+ */
+function detectDelimiter(line) {
+  const counts = CSV_DELIMITERS.map(delimiter => line.split(delimiter).length)
+  return CSV_DELIMITERS[counts.indexOf(Math.max(...counts))]
+}
+
+/**
+ * Split CSV text into records (handles quoted fields with delimiters, quotes and line breaks)
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {Array<Array<string>>}
+ */
+function splitCsvRecords(text, delimiter) {
+  const records = []
+  let record = []
+  let field = ''
+  let inQuotes = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      record.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unclosed quote')
+  }
+
+  record.push(field)
+  records.push(record)
+
+  // Skip blank lines
+  return records.filter(fields => fields.some(value => value.trim() !== ''))
+}
+
+/**
+ * Check the columns and rows of a parsed table
+ * @param {Array<string>} columns
+ * @param {Array<Object>} rows
+ * @throws {Error} If the table is empty, too large or has unnamed/duplicate columns
+ */
+function checkTable(columns, rows) {
+  if (rows.length === 0) {
+    throw new Error('The table has no rows')
+  }
+  if (columns.length === 0) {
+    throw new Error('The table has no columns')
+  }
+  if (columns.some(column => !column)) {
+    throw new Error('Every column needs a name')
+  }
+  const duplicate = columns.find((column, index) => columns.indexOf(column) !== index)
+  if (duplicate) {
+    throw new Error(`Column "${duplicate}" appears more than once`)
+  }
+  if (rows.length > MAX_BATCH_ROWS) {
+    throw new Error(`A batch can have at most ${MAX_BATCH_ROWS} rows (got ${rows.length})`)
+  }
+}
+
+/**
+ * Parse CSV text with a header row
+ * The delimiter (comma, semicolon or tab) is detected from the header
+ * @param {string} text
+ * @returns {BatchTable}
+ * @throws {Error} If the text is not a usable table
+ */
+export function parseCsvTable(text) {
+  const trimmed = (text || '').trim()
+  if (!trimmed) {
+    throw new Error('Paste CSV with a header row first')
+  }
+
+  const delimiter = detectDelimiter(trimmed.split(/\r?\n/)[0])
+  const [header, ...records] = splitCsvRecords(trimmed, delimiter)
+  const columns = header.map(column => column.trim())
+
+  records.forEach((fields, index) => {
+    if (fields.length > columns.length) {
+      throw new Error(`Row ${index + 1} has ${fields.length} values but there are ${columns.length} columns`)
+    }
+  })
+
+  const rows = records.map(fields => Object.fromEntries(
+    columns.map((column, index) => [column, (fields[index] ?? '').trim()])
+  ))
+
+  checkTable(columns, rows)
+  return { columns, rows, source: 'csv' }
+}
+
+/**
+ * Parse a JSON array of objects (columns are the union of their keys)
+ * @param {string} text
+ * @returns {BatchTable}
+ * @throws {Error} If the text is not a JSON array of objects
+ */
+export function parseJsonTable(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`)
+  }
+
+  if (!Array.isArray(data) || data.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+    throw new Error('JSON must be an array of objects, one per row')
+  }
+
+  const columns = [...new Set(data.flatMap(row => Object.keys(row)))]
+
+  // Values become template text
+  const rows = data.map(row => Object.fromEntries(columns.map(column => {
+    const value = row[column]
+    if (value === undefined || value === null) return [column, '']
+    return [column, typeof value === 'object' ? JSON.stringify(value) : String(value)]
+  })))
+
+  checkTable(columns, rows)
+  return { columns, rows, source: 'json' }
+}
+
+/**
+ * Map template variables to the columns with the same name (case-insensitive)
+ * @param {Array<string>} variables - Template variables
+ * @param {Array<string>} columns - Table columns
+ * @param {Object} [current] - Existing mapping; entries set to manual or to a column that still exists are kept
+ * @returns {Object} Column by variable name ('' = use the manual value)
+ */
+export function matchColumns(variables, columns, current = {}) {
+  return Object.fromEntries(variables.map(variable => {
+    if (current[variable] === '' || columns.includes(current[variable])) {
+      return [variable, current[variable]]
+    }
+    const column = columns.find(name => name.toLowerCase() === variable.toLowerCase())
+    return [variable, column || '']
+  }))
+}
+
+/**
+ * Get the variable values for one row
+ * @param {Object} row - Table row
+ * @param {Object} mapping - Column by variable name
+ * @param {Object} [manualValues] - Values typed in the node, used for unmapped variables
+ * @returns {Object} Values by variable name
+ */
+export function getRowVariables(row, mapping, manualValues = {}) {
+  return Object.fromEntries(Object.entries(mapping).map(([variable, column]) => [
+    variable,
+    column ? row[column] ?? '' : manualValues[variable] ?? ''
+  ]))
+}
+
+/**
+ * Record the output of a node after it ran
+ * Images are base64, so they are kept by reference to the generation history entry
+ * that holds them instead of being copied into every batch result
+ * @param {Object} node - Flow node
+ * @returns {Object|null} { kind: 'image', historyId } or { kind: 'text', value: string }, null without output
+ */
+export function getNodeOutput(node) {
+  const data = node?.data || {}
+
+  if (data.lastOutputSrc || data.outputs?.length > 0) {
+    return { kind: 'image', historyId: data.activeHistoryId ?? null }
+  }
+  if (typeof data.generatedText === 'string') {
+    return { kind: 'text', value: data.generatedText }
+  }
+  return null
+}
+
+/**
+ * Collect the history entries referenced by the batch results of every node
+ * Generators keep these entries past HISTORY_LIMIT (see appendHistoryEntry) until the results are cleared
+ * @param {Array<Object>} nodes - Flow nodes
+ * @returns {Set<string>} History entry IDs
+ */
+export function getBatchHistoryIds(nodes) {
+  return new Set(nodes.flatMap(node =>
+    (node.data?.batchResults || []).flatMap(result =>
+      (result.outputs || [])
+        .filter(output => output.kind === 'image' && output.historyId)
+        .map(output => output.historyId)
+    )
+  ))
+}
+
+/**
+ * Look up the images of batch results in the history of the nodes that generated them
+ * Images whose entry was deleted from the history resolve to null
+ * @param {Array<Object>} results - Batch results
+ * @param {Array<Object>} nodes - Flow nodes
+ * @returns {Array<Object>} Results whose outputs all have a value (string[] for images)
+ */
+export function resolveBatchResults(results, nodes) {
+  const nodesById = new Map(nodes.map(node => [node.id, node]))
+
+  return results.map(result => ({
+    ...result,
+    outputs: result.outputs.map(output => {
+      if (output.kind !== 'image') return output
+
+      const entry = nodesById.get(output.nodeId)?.data?.history?.find(item => item.id === output.historyId)
+      const images = entry && (Array.isArray(entry.output) ? entry.output : [entry.output])
+      return { ...output, value: images || null }
+    })
+  }))
+}
+
+/**
+ * Turn batch results into CSV: one line per row, with its variables, prompt, status and outputs
+ * Images are written as their URL or data URL, several images joined with spaces
+ * @param {Array<Object>} results - Resolved batch results (see resolveBatchResults)
+ * @returns {string}
+ */
+export function batchResultsToCsv(results) {
+  const variables = [...new Set(results.flatMap(result => Object.keys(result.variables)))]
+  const outputLabels = [...new Set(results.flatMap(result => result.outputs.map(output => output.label)))]
+
+  const escape = (value) => {
+    const text = value === undefined || value === null ? '' : String(value)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+
+  const header = ['row', ...variables, 'prompt', 'status', 'error', ...outputLabels]
+  const lines = results.map(result => {
+    const outputs = outputLabels.map(label => {
+      const output = result.outputs.find(entry => entry.label === label)
+      if (!output?.value) return ''
+      return Array.isArray(output.value) ? output.value.join(' ') : output.value
+    })
+
+    return [
+      result.row + 1,
+      ...variables.map(variable => result.variables[variable]),
+      result.prompt,
+      result.status,
+      result.error,
+      ...outputs
+    ].map(escape).join(',')
+  })
+
+  return [header.map(escape).join(','), ...lines].join('\n')
+}
+
+/**
+ * Download batch results as a JSON or CSV file
+ * @param {Array<Object>} results - Resolved batch results (see resolveBatchResults)
+ * @param {string} format - 'json' or 'csv'
+ * @param {string} [filename] - Optional filename (default: batch-{timestamp}.{format})
+ */
+export function downloadBatchResults(results, format, filename) {
+  const content = format === 'csv'
+    ? batchResultsToCsv(results)
+    : JSON.stringify(results, null, 2)
+  const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' })
+
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename || `batch-${Date.now()}.${format}`
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  URL.revokeObjectURL(url)
+
+  console.log('Batch results exported:', a.download)
+}
@@ -1,5 +1,6 @@
 import { PORT_TYPES } from './node-shapes'
 import nodeRegistry from './node-registry'
+import { getDownstreamNodeIds } from './graph'
 
 /**
  * Get the PORT_TYPE for an edge connection
@@ -170,6 +171,15 @@ export function validateConnection(connection, sourceNode, targetNode, existingE
     }
   }
 
+  // Prevent cycles (e.g. Prompt → Prompt Template → Prompt), which would make
+  // connected nodes update each other forever
+  if (getDownstreamNodeIds(connection.target, existingEdges).has(connection.source)) {
+    return {
+      valid: false,
+      reason: 'This connection would create a cycle'
+    }
+  }
+
   // Check if target node has reached max incoming connections
   // (For now we allow multiple connections, but this could be limited in the future)
 
@@ -0,0 +1,321 @@
+/**
+ * Custom model utilities
+ * Builds Replicate model configs from the definitions users enter in Settings,
+ * so models can be added without writing a file in src/services/models/
+ */
+
+import { createModelSchema, getInputSchema } from './openapi-schema'
+
+/**
+ * Input types of a custom model schema
+ * prompt/image/images receive the node's inputs, seed gets the node's seed control, the others become toolbar controls
+ */
+export const CUSTOM_INPUT_TYPES = ['prompt', 'image', 'images', 'seed', 'select', 'number', 'text', 'boolean']
+
+/**
+ * Output types of a custom model schema
+ */
+export const CUSTOM_OUTPUT_TYPES = ['image', 'text']
+
+// Input types that become toolbar parameters, with their OpenAPI type
+const PARAM_TYPES = {
+  seed: 'integer',
+  select: 'string',
+  number: 'number',
+  text: 'string',
+  boolean: 'boolean'
+}
+
+/**
+ * OpenAPI type of a parameter input (a number input with `integer: true` only takes whole numbers)
+ * @param {Object} spec - Input spec
+ * @returns {string}
+ */
+function getParamType(spec) {
+  return spec.type === 'number' && spec.integer ? 'integer' : PARAM_TYPES[spec.type]
+}
+
+/**
+ * Example schema shown in the Settings form
+ */
+export const CUSTOM_MODEL_SCHEMA_EXAMPLE = `{
+  "inputs": {
+    "prompt": { "type": "prompt" },
+    "image_input": { "type": "images", "max": 4 },
+    "aspect_ratio": { "type": "select", "enum": ["1:1", "16:9", "9:16"], "default": "1:1" },
+    "num_inference_steps": { "type": "number", "integer": true, "min": 1, "max": 50, "default": 28 },
+    "seed": { "type": "seed" }
+  },
+  "output": "image"
+}`
+
+/**
+ * Custom model definition, as persisted in the settings store
+ * @typedef {Object} CustomModelDefinition
+ * @property {string} id - "owner/name"
+ * @property {string} owner - Replicate model owner
+ * @property {string} name - Replicate model name
+ * @property {string} [version] - Version hash; empty for official models (run by name)
+ * @property {string} category - 'image' or 'text'
+ * @property {Object} schema - { inputs: { [key]: { type, ... } }, output: 'image' | 'text' }
+ */
+
+/**
+ * Parse the schema JSON typed in the Settings form
+ * @param {string} text - JSON text
+ * @returns {Object} Parsed schema
+ * @throws {Error} If the text is not valid JSON
+ */
+export function parseCustomModelSchema(text) {
+  try {
+    return JSON.parse(text)
+  } catch (error) {
+    throw new Error(`Inputs and outputs are not valid JSON: ${error.message}`)
+  }
+}
+
+/**
+ * Check a custom model definition
+ * @param {CustomModelDefinition} definition
+ * @returns {Array<string>} Problems found (empty if the definition is valid)
+ */
+export function validateCustomModel(definition) {
+  const errors = []
+  const { owner, name, version, category, schema } = definition
+
+  if (!/^[\w.-]+$/.test(owner || '') || !/^[\w.-]+$/.test(name || '')) {
+    errors.push('Model must be written as owner/name (e.g. black-forest-labs/flux-schnell)')
+  }
+
+  if (version && !/^[a-f0-9]{64}$/.test(version)) {
+    errors.push('Version must be a 64-character hash, or empty to use the latest version of an official model')
+  }
+
+  if (!['image', 'text'].includes(category)) {
+    errors.push('Category must be image or text')
+  }
+
+  if (!schema || typeof schema !== 'object' || !schema.inputs || typeof schema.inputs !== 'object') {
+    errors.push('Schema must have an "inputs" object')
+    return errors
+  }
+
+  const inputs = Object.entries(schema.inputs)
+  const promptInputs = inputs.filter(([, spec]) => spec?.type === 'prompt')
+  if (promptInputs.length !== 1) {
+    errors.push('Exactly one input must have type "prompt"')
+  }
+
+  if (inputs.filter(([, spec]) => spec?.type === 'seed').length > 1) {
+    errors.push('Only one input can have type "seed"')
+  }
+
+  inputs.forEach(([key, spec]) => {
+    if (!CUSTOM_INPUT_TYPES.includes(spec?.type)) {
+      errors.push(`Input "${key}" has an unknown type (use one of: ${CUSTOM_INPUT_TYPES.join(', ')})`)
+      return
+    }
+
+    if (spec.type === 'select' && (!Array.isArray(spec.enum) || spec.enum.length === 0)) {
+      errors.push(`Input "${key}" is a select and needs an "enum" list`)
+    }
+
+    if (spec.type === 'select' && spec.default !== undefined && !spec.enum?.includes(spec.default)) {
+      errors.push(`Default of "${key}" must be one of its enum values`)
+    }
+
+    if (spec.integer !== undefined && (spec.type !== 'number' || typeof spec.integer !== 'boolean')) {
+      errors.push(`Input "${key}": "integer" must be true or false and only applies to numbers`)
+    }
+  })
+
+  if (!CUSTOM_OUTPUT_TYPES.includes(schema.output)) {
+    errors.push(`Output must be one of: ${CUSTOM_OUTPUT_TYPES.join(', ')}`)
+  } else if (['image', 'text'].includes(category) && schema.output !== category) {
+    errors.push(`A ${category} model must have "${category}" output`)
+  }
+
+  return errors
+}
+
+/**
+ * Build a model config from a custom model definition
+ * The config has the same shape as the files in src/services/models/
+ * @param {CustomModelDefinition} definition
+ * @returns {Object} Model configuration
+ * @throws {Error} If the definition is invalid
+ */
+export function createCustomModel(definition) {
+  const errors = validateCustomModel(definition)
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'))
+  }
+
+  const { id, owner, name, version, category, schema } = definition
+  const inputs = Object.entries(schema.inputs)
+  const seedInput = inputs.find(([, spec]) => spec.type === 'seed')
+
+  // Parameters are described as OpenAPI properties to reuse the generated controls and validator
+  const paramSchema = createModelSchema({
+    properties: Object.fromEntries(
+      inputs
+        .filter(([, spec]) => PARAM_TYPES[spec.type])
+        .map(([key, spec], index) => [key, {
+          type: getParamType(spec),
+          ...(spec.label && { title: spec.label }),
+          ...(spec.enum && { enum: spec.enum }),
+          ...(spec.min !== undefined && { minimum: spec.min }),
+          ...(spec.max !== undefined && { maximum: spec.max }),
+          default: spec.default,
+          'x-order': index
+        }])
+    )
+  }, { seed: seedInput?.[0] })
+
+  return {
+    id,
+    name: `${owner}/${name}`,
+    owner,
+    version: version || 'latest',
+    category,
+    provider: 'replicate',
+    custom: true, // Defined in Settings, not in src/services/models/
+    endpointPath: version ? '/v1/predictions' : `/v1/models/${owner}/${name}/predictions`,
+    useVersionInBody: Boolean(version),
+
+    defaults: paramSchema.defaults,
+    seed: paramSchema.seed,
+
+    uiSchema: {
+      id,
+      label: `${owner}/${name}`,
+      controls: paramSchema.controls
+    },
+
+    /**
+     * Build input payload for the API
+     * @param {Object} options
+     * @param {string} options.prompt - Prompt
+     * @param {Array<string>} [options.imageInput] - Input images
+     * @param {Object} [options.params] - Validated parameters
+     * @returns {Object} API input payload
+     */
+    buildInput(options) {
+      const { prompt, imageInput = [], params = {} } = options
+      const input = {}
+
+      inputs.forEach(([key, spec]) => {
+        if (spec.type === 'prompt') {
+          if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
+            throw new Error('Prompt is required and must be a non-empty string')
+          }
+          input[key] = prompt.trim()
+        } else if (spec.type === 'image' || spec.type === 'images') {
+          const max = spec.type === 'image' ? 1 : spec.max
+
+          if (imageInput.length === 0) {
+            if (spec.required) throw new Error(`Input image is required for ${this.name}`)
+            return
+          }
+          if (max && imageInput.length > max) {
+            throw new Error(`${this.name} only supports ${max} input image${max === 1 ? '' : 's'}`)
+          }
+
+          input[key] = spec.type === 'image' ? imageInput[0] : imageInput
+        } else {
+          const value = params[key] ?? this.defaults[key]
+          if (value !== undefined && value !== null && value !== '') {
+            input[key] = value
+          }
+        }
+      })
+
+      return input
+    },
+
+    /**
+     * Validate and sanitize parameters
+     * @param {Object} params
+     * @returns {Object} Validated parameters (unknown keys are dropped)
+     */
+    validateParams(params = {}) {
+      return paramSchema.validateParams(params)
+    },
+
+    /**
+     * Parse response from API
+     * @param {Object} response - API response
+     * @returns {Object} Parsed result
+     */
+    parseResponse(response) {
+      if (!response.output) {
+        throw new Error('No output in response')
+      }
+
+      if (schema.output === 'text') {
+        return {
+          text: Array.isArray(response.output) ? response.output.join('') : String(response.output),
+          id: response.id,
+          status: response.status,
+          model: this.id
+        }
+      }
+
+      const imageUrls = Array.isArray(response.output) ? response.output : [response.output]
+
+      return {
+        imageUrl: imageUrls[0],
+        imageUrls,
+        id: response.id,
+        status: response.status,
+        model: this.id
+      }
+    }
+  }
+}
+
+/**
+ * Describe a model's OpenAPI input schema in the custom model format
+ * Used to fill the Settings form from the schema published on Replicate
+ * @param {Object} openapi - OpenAPI document (version.openapi_schema)
+ * @param {string} category - 'image' or 'text'
+ * @returns {Object} Custom model schema ({ inputs, output })
+ */
+export function customSchemaFromOpenApi(openapi, category) {
+  const required = getInputSchema(openapi).required || []
+  const { properties } = createModelSchema(openapi)
+  const promptKey = Object.keys(properties).find(key => key === 'prompt')
+    || Object.keys(properties).find(key => /prompt/.test(key) && !/negative|system/.test(key) && properties[key].type === 'string')
+
+  const inputs = {}
+  Object.entries(properties).forEach(([key, property]) => {
+    const spec = property.title ? { label: property.title } : {}
+    if (property.default !== undefined && property.default !== null) spec.default = property.default
+
+    if (key === promptKey) {
+      inputs[key] = { type: 'prompt' }
+    } else if (key === 'seed' && property.type === 'integer') {
+      inputs[key] = { type: 'seed', ...spec }
+    } else if (property.type === 'array' && property.items?.format === 'uri') {
+      inputs[key] = { type: 'images', ...(property.maxItems && { max: property.maxItems }) }
+    } else if (property.format === 'uri') {
+      inputs[key] = { type: 'image', ...(required.includes(key) && { required: true }) }
+    } else if (Array.isArray(property.enum)) {
+      inputs[key] = { type: 'select', enum: property.enum, ...spec }
+    } else if (property.type === 'boolean') {
+      inputs[key] = { type: 'boolean', ...spec }
+    } else if (property.type === 'integer' || property.type === 'number') {
+      inputs[key] = {
+        type: 'number',
+        ...(property.type === 'integer' && { integer: true }),
+        ...(property.minimum !== undefined && { min: property.minimum }),
+        ...(property.maximum !== undefined && { max: property.maximum }),
+        ...spec
+      }
+    } else if (property.type === 'string' && property.format !== 'password') {
+      inputs[key] = { type: 'text', ...spec }
+    }
+  })
+
+  return { inputs, output: category }
+}
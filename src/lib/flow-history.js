@@ -0,0 +1,352 @@
+/**
+ * Flow history
+ * Undo/redo commands for the canvas. A command is the difference between two snapshots of the
+ * flow: the before/after state of every node that changed, the node order and the edges.
+ * Only changed nodes are kept, and snapshots copy node data without copying its strings,
+ * so base64 images are shared with the nodes instead of being duplicated in every step
+ */
+
+import { NODE_TYPES } from './node-shapes'
+
+// Node properties saved besides id, type, position, data and io (see exportFlow)
+const OPTIONAL_NODE_FIELDS = ['parentNode', 'extent', 'expandParent', 'style', 'class']
+
+// Data written by generations, not by the user: never undone or redone, so undo can't
+// take back a paid result
+const GENERATED_DATA_FIELDS = [
+  'pendingPrediction', 'error', 'errorDetails',
+  'lastOutputSrc', 'outputs', 'activeOutputIndex', 'generatedText',
+  'history', 'activeHistoryId', 'generationId', 'lastGenerationId', 'generationMetadata',
+  'inputFingerprint', 'cached', 'batchResults'
+]
+
+// User data that a finished generation also moves on (the seed of the next run):
+// the change that comes with a new result is not recorded, the user's own edits are
+const ADVANCED_DATA_FIELDS = ['seed']
+
+// Fields that are generated on some node types only
+const GENERATED_DATA_FIELDS_BY_TYPE = {
+  [NODE_TYPES.TEXT_GENERATOR]: ['prompt'] // The generated text passed downstream
+}
+
+/**
+ * Snapshot of a flow
+ * @typedef {Object} FlowSnapshot
+ * @property {Map<string, NodeState>} nodes - State of each node by ID
+ * @property {Array<string>} order - Node IDs in array order (groups come before their children)
+ * @property {string} edges - Serialized edges
+ */
+
+/**
+ * State of a node
+ * @typedef {Object} NodeState
+ * @property {string} node - Serialized node without its data
+ * @property {Object} data - Copy of the data the user edits (compared between snapshots)
+ * @property {Object} generated - Copy of the generated data, only used to bring back a removed node
+ */
+
+/**
+ * History command
+ * @typedef {Object} HistoryCommand
+ * @property {Object} nodes - { [id]: { before: NodeState|null, after: NodeState|null } } (null = node absent)
+ * @property {Object|null} order - { before, after } node ID order, null if unchanged
+ * @property {Object|null} edges - { before, after } serialized edges, null if unchanged
+ * @property {number} time - When the command was recorded (ms)
+ */
+
+/**
+ * Get the generated data fields of a node type
+ * @param {string} type - Node type
+ * @returns {Array<string>}
+ */
+function getGeneratedFields(type) {
+  return [...GENERATED_DATA_FIELDS, ...(GENERATED_DATA_FIELDS_BY_TYPE[type] || [])]
+}
+
+/**
+ * Copy node data: objects and arrays are copied, strings are shared (they are immutable)
+ * @param {*} value
+ * @returns {*}
+ */
+function cloneValue(value) {
+  if (Array.isArray(value)) return value.map(cloneValue)
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, cloneValue(item)]))
+  }
+  return value
+}
+
+/**
+ * Compare node data copies (keys set to undefined count as absent, as in JSON)
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isEqualValue(a, b) {
+  if (a === b) return true
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false
+  if (Array.isArray(a) !== Array.isArray(b)) return false
+
+  const keys = (value) => Array.isArray(value)
+    ? Object.keys(value)
+    : Object.keys(value).filter(key => value[key] !== undefined)
+  const keysA = keys(a)
+  const keysB = keys(b)
+
+  return keysA.length === keysB.length && keysA.every(key => isEqualValue(a[key], b[key]))
+}
+
+/**
+ * Check if two node states differ (generated data aside)
+ * @param {NodeState|null} a
+ * @param {NodeState|null} b
+ * @returns {boolean}
+ */
+function hasChanged(a, b) {
+  if (!a || !b) return a !== b
+  return a.node !== b.node || !isEqualValue(a.data, b.data)
+}
+
+/**
+ * Leave out of a node's previous state the fields a new result moved on, so the
+ * automatic change is neither recorded nor undone
+ * @param {NodeState|null} previous
+ * @param {NodeState|null} next
+ * @returns {NodeState|null} previous, with the advanced fields of next if a new result came in
+ */
+function absorbAdvance(previous, next) {
+  if (!previous || !next || previous.generated.activeHistoryId === next.generated.activeHistoryId) {
+    return previous
+  }
+
+  const data = { ...previous.data }
+  ADVANCED_DATA_FIELDS.forEach(field => {
+    data[field] = next.data[field]
+  })
+  return { ...previous, data }
+}
+
+/**
+ * Take the state of a node
+ * @param {Object} node - Flow node
+ * @returns {NodeState}
+ */
+function serializeNode(node) {
+  const { id, type, position, io } = node
+  const state = { id, type, position: { x: position.x, y: position.y }, io }
+
+  OPTIONAL_NODE_FIELDS.forEach(field => {
+    if (node[field] !== undefined) state[field] = node[field]
+  })
+
+  const generatedFields = getGeneratedFields(type)
+  const data = {}
+  const generated = {}
+  Object.entries(node.data || {}).forEach(([key, value]) => {
+    (generatedFields.includes(key) ? generated : data)[key] = cloneValue(value)
+  })
+
+  return { node: JSON.stringify(state), data, generated }
+}
+
+/**
+ * Serialize the edges of a flow
+ * @param {Array} edges - Flow edges
+ * @returns {string}
+ */
+function serializeEdges(edges) {
+  return JSON.stringify(edges.map(({ id, source, target, sourceHandle, targetHandle }) => ({
+    id, source, target, sourceHandle, targetHandle
+  })))
+}
+
+/**
+ * Take a snapshot of the flow
+ * @param {Object} flowStore - Store with nodes and edges
+ * @returns {FlowSnapshot}
+ */
+export function snapshotFlow(flowStore) {
+  return {
+    nodes: new Map(flowStore.nodes.map(node => [node.id, serializeNode(node)])),
+    order: flowStore.nodes.map(node => node.id),
+    edges: serializeEdges(flowStore.edges)
+  }
+}
+
+/**
+ * Create the command that turns one snapshot into another
+ * @param {FlowSnapshot} before
+ * @param {FlowSnapshot} after
+ * @returns {HistoryCommand|null} null if nothing changed
+ */
+export function diffSnapshots(before, after) {
+  const nodes = {}
+  const ids = new Set([...before.nodes.keys(), ...after.nodes.keys()])
+
+  ids.forEach(id => {
+    const next = after.nodes.get(id) || null
+    const previous = absorbAdvance(before.nodes.get(id) || null, next)
+
+    if (hasChanged(previous, next)) {
+      nodes[id] = { before: previous, after: next }
+    }
+  })
+
+  const orderChanged = before.order.join('\n') !== after.order.join('\n')
+  const edgesChanged = before.edges !== after.edges
+
+  if (Object.keys(nodes).length === 0 && !orderChanged && !edgesChanged) {
+    return null
+  }
+
+  return {
+    nodes,
+    order: orderChanged ? { before: before.order, after: after.order } : null,
+    edges: edgesChanged ? { before: before.edges, after: after.edges } : null,
+    time: Date.now()
+  }
+}
+
+/**
+ * Check if a command only edits the data of existing nodes (typing, sliders)
+ * @param {HistoryCommand} command
+ * @returns {boolean}
+ */
+function isDataEdit(command) {
+  return !command.order && !command.edges && Object.values(command.nodes).every(change =>
+    change.before && change.after && change.before.node === change.after.node
+  )
+}
+
+/**
+ * Check if a command continues the previous one and should be merged into it:
+ * both edit the data of the same nodes, less than `window` ms apart
+ * @param {HistoryCommand} previous
+ * @param {HistoryCommand} next
+ * @param {number} window - Coalescing window (ms)
+ * @returns {boolean}
+ */
+export function canCoalesce(previous, next, window) {
+  if (!previous || next.time - previous.time > window) return false
+  if (!isDataEdit(previous) || !isDataEdit(next)) return false
+
+  const previousIds = Object.keys(previous.nodes)
+  const nextIds = Object.keys(next.nodes)
+  return previousIds.length === nextIds.length && nextIds.every(id => id in previous.nodes)
+}
+
+/**
+ * Merge a command into the previous one (both must edit the same nodes)
+ * @param {HistoryCommand} previous
+ * @param {HistoryCommand} next
+ * @returns {HistoryCommand|null} Merged command, null if the edits cancel out
+ */
+export function mergeCommands(previous, next) {
+  const nodes = {}
+
+  Object.entries(next.nodes).forEach(([id, change]) => {
+    const before = previous.nodes[id].before
+    if (hasChanged(before, change.after)) {
+      nodes[id] = { before, after: change.after }
+    }
+  })
+
+  if (Object.keys(nodes).length === 0) return null
+
+  return { nodes, order: null, edges: null, time: next.time }
+}
+
+/**
+ * Restore a node from its state (a new node, or the current node updated in place
+ * so VueFlow keeps its dimensions and selection)
+ * An existing node only gets back the data fields the command changed, so what was
+ * not recorded (generated data, a seed moved on by a run) is kept
+ * @param {NodeState} state - State to restore
+ * @param {Object} [current] - Node currently in the flow
+ * @param {NodeState|null} [other] - The other side of the command
+ * @returns {Object}
+ */
+function restoreNode(state, current, other = null) {
+  const restored = JSON.parse(state.node)
+
+  // Copied again, so later edits of the node don't change the history
+  if (!current) {
+    return { ...restored, data: { ...cloneValue(state.generated), ...cloneValue(state.data) } }
+  }
+
+  let data
+  if (other) {
+    data = { ...current.data }
+    new Set([...Object.keys(state.data), ...Object.keys(other.data)]).forEach(field => {
+      if (isEqualValue(state.data[field], other.data[field])) return
+      if (state.data[field] === undefined) delete data[field]
+      else data[field] = cloneValue(state.data[field])
+    })
+  } else {
+    data = cloneValue(state.data)
+
+    // Keep what generations wrote
+    getGeneratedFields(restored.type).forEach(field => {
+      if (current.data?.[field] !== undefined) data[field] = current.data[field]
+    })
+  }
+
+  current.position = restored.position
+  current.io = restored.io
+  current.data = data
+  OPTIONAL_NODE_FIELDS.forEach(field => {
+    current[field] = restored[field]
+  })
+
+  return current
+}
+
+/**
+ * Apply one side of a command to the flow (before = undo, after = redo)
+ * @param {Object} flowStore - Store with nodes and edges
+ * @param {HistoryCommand} command
+ * @param {string} side - 'before' or 'after'
+ * @param {Object} [vueFlowHelpers] - VueFlow composable helpers (addEdges)
+ * @returns {Promise<void>}
+ */
+export async function applyCommand(flowStore, command, side, vueFlowHelpers = {}) {
+  const currentById = new Map(flowStore.nodes.map(node => [node.id, node]))
+  const order = command.order ? command.order[side] : flowStore.nodes.map(node => node.id)
+
+  const nodes = order
+    .map(id => {
+      const change = command.nodes[id]
+      if (!change) return currentById.get(id)
+      const other = change[side === 'before' ? 'after' : 'before']
+      return change[side] ? restoreNode(change[side], currentById.get(id), other) : null
+    })
+    .filter(Boolean)
+
+  const addsNodes = nodes.some(node => !currentById.has(node.id))
+
+  // Maintain array references (see importFlow)
+  flowStore.nodes.splice(0, flowStore.nodes.length, ...nodes)
+
+  if (!command.edges) return
+
+  const edges = JSON.parse(command.edges[side])
+  const edgeIds = new Set(edges.map(edge => edge.id))
+  const kept = flowStore.edges.filter(edge => edgeIds.has(edge.id))
+  const keptIds = new Set(kept.map(edge => edge.id))
+  const missing = edges.filter(edge => !keptIds.has(edge.id))
+
+  flowStore.edges.splice(0, flowStore.edges.length, ...kept)
+
+  if (missing.length === 0) return
+
+  // Restored nodes must be known to VueFlow before their edges
+  if (addsNodes) {
+    await new Promise(resolve => setTimeout(resolve, 100))
+  }
+
+  if (vueFlowHelpers.addEdges) {
+    vueFlowHelpers.addEdges(missing)
+  } else {
+    flowStore.edges.push(...missing)
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * Flow integrity checks
+ * Finds references that point nowhere in a structurally valid flow (edges to missing nodes,
+ * children of missing groups, unregistered node types, handles beyond a node's ports,
+ * duplicate IDs) and node data that doesn't match its type's schema, and repairs them by
+ * dropping, unparenting or resetting what is broken
+ */
+
+import { NODE_TYPES } from './node-shapes'
+import nodeRegistry from './node-registry'
+
+/**
+ * Integrity problem
+ * @typedef {Object} IntegrityIssue
+ * @property {string} code - 'duplicate-node', 'unknown-type', 'invalid-data', 'missing-parent',
+ *   'duplicate-edge', 'dangling-edge' or 'invalid-handle'
+ * @property {string} message - What is wrong
+ * @property {string} repair - What repairFlow does about it
+ */
+
+/**
+ * Check an edge handle against the ports of a node
+ * Handles are named "input-N" / "output-N" after the port index (see BaseNode.vue)
+ * @param {string|null|undefined} handleId - Edge handle, if any
+ * @param {string} side - 'input' or 'output'
+ * @param {Array<string>} ports - Port types of that side
+ * @returns {boolean}
+ */
+function isValidHandle(handleId, side, ports) {
+  if (ports.length === 0) return false
+
+  // Without a handle VueFlow connects to the first one
+  if (handleId === undefined || handleId === null) return true
+
+  const match = typeof handleId === 'string' && handleId.match(new RegExp(`^${side}-(\\d+)$`))
+  return Boolean(match) && Number(match[1]) < ports.length
+}
+
+/**
+ * Describe a handle a node doesn't have
+ * @param {string} nodeId
+ * @param {string|null|undefined} handleId
+ * @param {string} side - 'input' or 'output'
+ * @returns {string}
+ */
+function describeMissingHandle(nodeId, handleId, side) {
+  return handleId ? `"${nodeId}" has no ${side} "${handleId}"` : `"${nodeId}" has no ${side}s`
+}
+
+/**
+ * Find what repairFlow would change, in the order it changes it
+ * @param {Object} flow - Structurally valid flow (see validateFlow)
+ * @returns {Object} { issues: IntegrityIssue[], nodes: Object[], edges: Object[] }
+ *   where nodes and edges are what is left once the issues are repaired
+ */
+function inspectFlow(flow) {
+  const issues = []
+  const nodesById = new Map()
+
+  // Nodes: the first of each ID wins, unregistered types can't be rendered
+  flow.nodes.forEach((node, index) => {
+    if (nodesById.has(node.id)) {
+      issues.push({
+        code: 'duplicate-node',
+        message: `Node ${index}: ID "${node.id}" is already used by another node`,
+        repair: 'Remove the duplicate node'
+      })
+    } else if (!nodeRegistry.hasNode(node.type)) {
+      issues.push({
+        code: 'unknown-type',
+        message: `Node "${node.id}": unknown node type "${node.type}"`,
+        repair: 'Remove the node'
+      })
+    } else {
+      nodesById.set(node.id, node)
+    }
+  })
+
+  // Data fields of the wrong type: the node falls back to its default for them
+  const validNodes = [...nodesById.values()].map(node => {
+    const problems = nodeRegistry.validateNodeData(node.type, node.data)
+    if (problems.length === 0) return node
+
+    const fields = [...new Set(problems.map(problem => problem.field))]
+    fields.forEach(field => {
+      issues.push({
+        code: 'invalid-data',
+        message: `Node "${node.id}" (${node.type}): ${problems
+          .filter(problem => problem.field === field)
+          .map(problem => problem.message)
+          .join(', ')}`,
+        repair: `Reset ${field} to its default`
+      })
+    })
+
+    const data = { ...node.data }
+    fields.forEach(field => delete data[field])
+    return { ...node, data }
+  })
+
+  // Children of missing (or removed) groups
+  const nodes = validNodes.map(node => {
+    if (node.parentNode === undefined || node.parentNode === null) return node
+
+    const parent = nodesById.get(node.parentNode)
+    if (parent?.type === NODE_TYPES.GROUP) return node
+
+    issues.push({
+      code: 'missing-parent',
+      message: parent
+        ? `Node "${node.id}": parent "${node.parentNode}" is not a group`
+        : `Node "${node.id}": parent group "${node.parentNode}" does not exist`,
+      repair: 'Take the node out of the group'
+    })
+
+    const { parentNode, extent, expandParent, ...unparented } = node
+    return unparented
+  })
+
+  // Edges: both ends must exist and use ports the node has
+  const edgeIds = new Set()
+  const edges = flow.edges.filter((edge, index) => {
+    if (edgeIds.has(edge.id)) {
+      issues.push({
+        code: 'duplicate-edge',
+        message: `Edge ${index}: ID "${edge.id}" is already used by another edge`,
+        repair: 'Remove the duplicate connection'
+      })
+      return false
+    }
+
+    const source = nodesById.get(edge.source)
+    const target = nodesById.get(edge.target)
+
+    if (!source || !target) {
+      const missing = [!source && `source "${edge.source}"`, !target && `target "${edge.target}"`].filter(Boolean)
+      issues.push({
+        code: 'dangling-edge',
+        message: `Edge "${edge.id}": ${missing.join(' and ')} ${missing.length > 1 ? 'do' : 'does'} not exist`,
+        repair: 'Remove the connection'
+      })
+      return false
+    }
+
+    const sourceDef = nodeRegistry.getNodeDef(source.type)
+    const targetDef = nodeRegistry.getNodeDef(target.type)
+    const badHandles = [
+      !isValidHandle(edge.sourceHandle, 'output', sourceDef.outputs) &&
+        describeMissingHandle(source.id, edge.sourceHandle, 'output'),
+      !isValidHandle(edge.targetHandle, 'input', targetDef.inputs) &&
+        describeMissingHandle(target.id, edge.targetHandle, 'input')
+    ].filter(Boolean)
+
+    if (badHandles.length > 0) {
+      issues.push({
+        code: 'invalid-handle',
+        message: `Edge "${edge.id}": ${badHandles.join(', ')}`,
+        repair: 'Remove the connection'
+      })
+      return false
+    }
+
+    edgeIds.add(edge.id)
+    return true
+  })
+
+  return { issues, nodes, edges }
+}
+
+/**
+ * Check the references of a flow
+ * @param {Object} flow - Structurally valid flow (see validateFlow)
+ * @returns {Array<IntegrityIssue>} Problems found (empty if intact)
+ */
+export function checkFlowIntegrity(flow) {
+  return inspectFlow(flow).issues
+}
+
+/**
+ * Repair the references of a flow: duplicates and nodes of unknown types are removed,
+ * data fields of the wrong type are removed (so nodes use their defaults), nodes whose
+ * group is missing are unparented (keeping their position) and connections that point
+ * nowhere are removed
+ * The input is not modified
+ * @param {Object} flow - Structurally valid flow (see validateFlow)
+ * @returns {Object} Repaired flow
+ */
+export function repairFlow(flow) {
+  const { nodes, edges } = inspectFlow(flow)
+  return { ...flow, nodes, edges }
+}
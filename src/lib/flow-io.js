@@ -3,7 +3,21 @@
  * Handles serialization and deserialization of flow canvas state
  */
 
-const FLOW_VERSION = '1.0.0'
+import { findCycle } from './graph'
+import { FLOW_VERSION, migrateFlow } from './flow-migrations'
+import { checkFlowIntegrity, repairFlow } from './flow-integrity'
+
+/**
+ * Node data without the prediction a generator node was waiting for
+ * @param {Object} data - Node data
+ * @returns {Object}
+ */
+function withoutPendingPrediction(data) {
+  if (!data.pendingPrediction) return data
+
+  const { pendingPrediction, ...rest } = data
+  return rest
+}
 
 /**
  * Export current flow state to JSON
@@ -43,9 +57,11 @@ export function exportFlow(flowStore) {
 }
 
 /**
- * Validate imported flow structure
+ * Validate imported flow structure and references
  * @param {Object} flowData - Imported flow data
- * @returns {Object} { valid: boolean, errors: string[] }
+ * @returns {Object} { valid: boolean, errors: string[], issues: IntegrityIssue[], repairable: boolean }
+ *   where issues are the broken references (see flow-integrity.js) and repairable tells
+ *   if repairFlow fixes every error
  */
 export function validateFlow(flowData) {
   const errors = []
@@ -80,6 +96,7 @@ export function validateFlow(flowData) {
       if (!node.position || typeof node.position.x !== 'number' || typeof node.position.y !== 'number') {
         errors.push(`Node ${index}: missing or invalid position`)
       }
+      // Field types are checked with the references (see flow-integrity.js), so they can be repaired
       if (!node.data || typeof node.data !== 'object') {
         errors.push(`Node ${index}: missing or invalid data`)
       }
@@ -103,29 +120,79 @@ export function validateFlow(flowData) {
     })
   }
 
+  // Check references and cycles (only once the structure is sound)
+  let issues = []
+  let repairable = false
+
+  if (errors.length === 0) {
+    issues = checkFlowIntegrity(flowData)
+    issues.forEach(issue => errors.push(issue.message))
+    repairable = issues.length > 0
+
+    const cycle = findCycle(flowData.nodes, flowData.edges)
+    if (cycle) {
+      errors.push(`Flow contains a cycle: ${cycle.join(' → ')}`)
+      repairable = false
+    }
+  }
+
   return {
     valid: errors.length === 0,
-    errors
+    errors,
+    issues,
+    repairable
   }
 }
 
 /**
  * Import flow from JSON data
+ * Flows from older format versions are upgraded first (see flow-migrations.js).
+ * A flow with broken references or data is refused unless options.confirmRepair agrees to repair it,
+ * so nothing is dropped without asking (the canvas is left untouched until then)
  * @param {Object} flowData - Imported flow data
  * @param {Object} flowStore - Pinia flow store instance
  * @param {Object} vueFlowHelpers - VueFlow composable helpers (addEdges)
- * @returns {Promise<Object>} { success: boolean, error?: string }
+ * @param {Object} [options]
+ * @param {Function} [options.confirmRepair] - Called with the failed result ({ error, issues, repairable })
+ *   when the flow can be repaired; resolves to true to repair and import it (see useFlowRepair)
+ * @param {boolean} [options.resumePending=false] - Keep the predictions generator nodes were waiting for,
+ *   so the nodes resume them (only when loading the flow's own project: another copy would poll them twice)
+ * @returns {Promise<Object>} { success: boolean, error?: string, issues?: IntegrityIssue[], repairable?: boolean,
+ *   repaired?: boolean } where issues lists the broken references and data (found, or repaired on success)
  */
-export async function importFlow(flowData, flowStore, vueFlowHelpers = {}) {
+export async function importFlow(flowData, flowStore, vueFlowHelpers = {}, { confirmRepair = null, resumePending = false } = {}) {
+  // Upgrade older formats, refuse newer ones
+  const migration = migrateFlow(flowData)
+
+  if (!migration.success) {
+    console.error('Flow migration failed:', migration.error)
+    return { success: false, error: migration.error }
+  }
+
+  if (migration.migrations.length > 0) {
+    console.log('Flow upgraded:', migration.migrations.join(', '))
+  }
+
+  let { flow } = migration
+
   // Validate flow structure
-  const validation = validateFlow(flowData)
+  const validation = validateFlow(flow)
 
   if (!validation.valid) {
-    console.error('Flow validation failed:', validation.errors)
-    return {
+    const failure = {
       success: false,
-      error: `Invalid flow format: ${validation.errors.join(', ')}`
+      error: `Invalid flow format: ${validation.errors.join(', ')}`,
+      issues: validation.issues,
+      repairable: validation.repairable
+    }
+
+    if (!(validation.repairable && confirmRepair && await confirmRepair(failure))) {
+      console.error('Flow validation failed:', validation.errors)
+      return failure
     }
+
+    flow = repairFlow(flow)
+    console.log('Flow repaired:', validation.errors)
   }
 
   try {
@@ -134,12 +201,12 @@ export async function importFlow(flowData, flowStore, vueFlowHelpers = {}) {
     flowStore.edges.splice(0, flowStore.edges.length)
 
     // Import nodes (push to maintain reference)
-    const importedNodes = flowData.nodes.map(node => {
+    const importedNodes = flow.nodes.map(node => {
       const imported = {
         id: node.id,
         type: node.type,
         position: node.position,
-        data: node.data,
+        data: resumePending ? node.data : withoutPendingPrediction(node.data),
         io: node.io
       }
 
@@ -159,7 +226,7 @@ export async function importFlow(flowData, flowStore, vueFlowHelpers = {}) {
     await new Promise(resolve => setTimeout(resolve, 100))
 
     // Import edges using VueFlow's addEdges if available, otherwise push directly
-    const importedEdges = flowData.edges.map(edge => ({
+    const importedEdges = flow.edges.map(edge => ({
       id: edge.id,
       source: edge.source,
       target: edge.target,
@@ -176,12 +243,12 @@ export async function importFlow(flowData, flowStore, vueFlowHelpers = {}) {
     }
 
     console.log('Flow imported successfully:', {
-      nodes: flowData.nodes.length,
-      edges: flowData.edges.length,
-      version: flowData.version
+      nodes: flow.nodes.length,
+      edges: flow.edges.length,
+      version: flow.version
     })
 
-    return { success: true }
+    return { success: true, issues: validation.issues, repaired: !validation.valid }
   } catch (error) {
     console.error('Error importing flow:', error)
     return {
@@ -218,9 +285,10 @@ export function downloadFlow(flowStore, filename) {
  * @param {File} file - JSON file to import
  * @param {Object} flowStore - Pinia flow store instance
  * @param {Object} vueFlowHelpers - VueFlow composable helpers (addEdges)
- * @returns {Promise<Object>} { success: boolean, error?: string }
+ * @param {Object} [options] - Import options (see importFlow)
+ * @returns {Promise<Object>} Import result (see importFlow)
  */
-export function loadFlowFromFile(file, flowStore, vueFlowHelpers = {}) {
+export function loadFlowFromFile(file, flowStore, vueFlowHelpers = {}, options = {}) {
   return new Promise((resolve) => {
     if (!file) {
       resolve({ success: false, error: 'No file provided' })
@@ -237,7 +305,7 @@ export function loadFlowFromFile(file, flowStore, vueFlowHelpers = {}) {
     reader.onload = async (event) => {
       try {
         const flowData = JSON.parse(event.target.result)
-        const result = await importFlow(flowData, flowStore, vueFlowHelpers)
+        const result = await importFlow(flowData, flowStore, vueFlowHelpers, options)
         resolve(result)
       } catch (error) {
         console.error('Error parsing JSON:', error)
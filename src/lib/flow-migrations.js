@@ -0,0 +1,162 @@
+/**
+ * Flow format migrations
+ * Upgrades flows saved by older versions of the app, one format version at a time,
+ * so files keep loading as node data shapes change
+ */
+
+import { NODE_TYPES } from './node-shapes'
+import { createHistoryEntry } from './generation-history'
+
+/**
+ * Current flow format version, written by exportFlow
+ */
+export const FLOW_VERSION = '1.1.0'
+
+/**
+ * Migration from one format version to the next
+ * @typedef {Object} FlowMigration
+ * @property {string} from - Version it reads
+ * @property {string} to - Version it writes
+ * @property {string} description - What changes
+ * @property {Function} migrate - Receives the flow and returns the upgraded flow (without modifying the input)
+ */
+
+/**
+ * Seed the history of a generator node with its current output, so it can be restored later
+ * @param {Object} data - Node data
+ * @param {Object} generation - { prompt, output, ... } of the current output
+ * @param {string} createdAt - When the flow was saved
+ * @returns {Object} Updated data
+ */
+function seedHistory(data, generation, createdAt) {
+  const entry = {
+    ...createHistoryEntry({
+      model: data.model,
+      params: data.params,
+      inputFingerprint: data.inputFingerprint,
+      ...generation
+    }),
+    createdAt
+  }
+
+  return { ...data, history: [entry], activeHistoryId: entry.id }
+}
+
+/**
+ * Registered migrations, in order
+ * @type {Array<FlowMigration>}
+ */
+const MIGRATIONS = [
+  {
+    from: '1.0.0',
+    to: '1.1.0',
+    description: 'Image generators keep every output image; generators keep a generation history',
+    migrate(flow) {
+      return {
+        ...flow,
+        nodes: flow.nodes.map(node => {
+          let data = node.data
+
+          if (node.type === NODE_TYPES.IMAGE_GENERATOR) {
+            if (!Array.isArray(data.outputs) && data.lastOutputSrc) {
+              data = { ...data, outputs: [data.lastOutputSrc], activeOutputIndex: 0 }
+            }
+            if (!Array.isArray(data.history) && data.outputs?.length > 0) {
+              data = seedHistory(data, {
+                prompt: data.prompt || '',
+                output: data.outputs,
+                activeOutputIndex: data.activeOutputIndex ?? 0,
+                generationId: data.generationId
+              }, flow.createdAt)
+            }
+          }
+
+          if (node.type === NODE_TYPES.TEXT_GENERATOR && typeof data.generatedText === 'string') {
+            // Downstream nodes read the generated text from `prompt`
+            if (!data.prompt) {
+              data = { ...data, prompt: data.generatedText }
+            }
+            if (!Array.isArray(data.history)) {
+              data = seedHistory(data, {
+                prompt: data.userPrompt || '',
+                output: data.generatedText,
+                generationId: data.lastGenerationId
+              }, flow.createdAt)
+            }
+          }
+
+          return data === node.data ? node : { ...node, data }
+        })
+      }
+    }
+  }
+]
+
+/**
+ * Compare two "major.minor.patch" versions
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+  const partsA = a.split('.').map(Number)
+  const partsB = b.split('.').map(Number)
+
+  for (let i = 0; i < 3; i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0)
+    if (difference !== 0) return difference
+  }
+
+  return 0
+}
+
+/**
+ * Check if a string is a "major.minor.patch" version
+ * @param {*} version
+ * @returns {boolean}
+ */
+function isVersion(version) {
+  return typeof version === 'string' && /^\d+\.\d+\.\d+$/.test(version)
+}
+
+/**
+ * Upgrade a flow to the current format version
+ * The input is not modified
+ * @param {Object} flowData - Flow data as read from a file or storage
+ * @returns {Object} { success: boolean, flow?: Object, migrations?: string[], error?: string }
+ *   where migrations lists the applied steps ("1.0.0 → 1.1.0")
+ */
+export function migrateFlow(flowData) {
+  if (!flowData || typeof flowData !== 'object' || !isVersion(flowData.version)) {
+    return { success: false, error: 'Invalid flow format: missing or invalid version' }
+  }
+
+  if (compareVersions(flowData.version, FLOW_VERSION) > 0) {
+    return {
+      success: false,
+      error: `This flow was saved by a newer version of the app (format ${flowData.version}). ` +
+        `This version reads formats up to ${FLOW_VERSION}, please update to open it.`
+    }
+  }
+
+  // Malformed nodes are left to validateFlow
+  if (!Array.isArray(flowData.nodes) || flowData.nodes.some(node => !node?.data || typeof node.data !== 'object')) {
+    return { success: true, flow: flowData, migrations: [] }
+  }
+
+  let flow = flowData
+  const migrations = []
+
+  while (compareVersions(flow.version, FLOW_VERSION) < 0) {
+    const migration = MIGRATIONS.find(entry => entry.from === flow.version)
+
+    if (!migration) {
+      return { success: false, error: `Cannot upgrade flows from format ${flow.version}` }
+    }
+
+    flow = { ...migration.migrate(flow), version: migration.to }
+    migrations.push(`${migration.from} → ${migration.to}`)
+  }
+
+  return { success: true, flow, migrations }
+}
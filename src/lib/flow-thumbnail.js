@@ -0,0 +1,112 @@
+/**
+ * Flow thumbnails
+ * Draws the layout of a flow (nodes as boxes, edges as lines) as a small SVG for the project list.
+ * It doesn't use the node images, whose URLs may expire or be blocked by CORS
+ */
+
+import { NODE_TYPES } from './node-shapes'
+
+const THUMBNAIL_WIDTH = 320
+const THUMBNAIL_HEIGHT = 180
+const PADDING = 16
+
+// Size used for nodes without an explicit size (only groups store one)
+const DEFAULT_NODE_SIZE = { width: 240, height: 160 }
+
+// Theme colors (an SVG in an <img> can't read the CSS variables)
+const COLORS = {
+  background: '#131313',
+  node: '#2a2a2a',
+  nodeBorder: '#3d3d3d',
+  group: 'none',
+  groupBorder: '#4a4a4a',
+  edge: '#6b6b6b'
+}
+
+/**
+ * Get the size of a node from its style
+ * @param {Object} node - Flow node
+ * @returns {{ width: number, height: number }}
+ */
+function getNodeSize(node) {
+  const width = parseFloat(node.style?.width)
+  const height = parseFloat(node.style?.height)
+
+  return {
+    width: Number.isFinite(width) ? width : DEFAULT_NODE_SIZE.width,
+    height: Number.isFinite(height) ? height : DEFAULT_NODE_SIZE.height
+  }
+}
+
+/**
+ * Get the canvas position of every node (children of a group are positioned relative to it)
+ * @param {Array} nodes - Flow nodes
+ * @returns {Map<string, { x: number, y: number }>}
+ */
+function getAbsolutePositions(nodes) {
+  const byId = new Map(nodes.map(node => [node.id, node]))
+  const positions = new Map()
+
+  const resolve = (node, depth = 0) => {
+    if (positions.has(node.id)) return positions.get(node.id)
+
+    const parent = byId.get(node.parentNode)
+    // Depth guard against parent loops in broken files
+    const offset = parent && depth < nodes.length ? resolve(parent, depth + 1) : { x: 0, y: 0 }
+    const position = { x: node.position.x + offset.x, y: node.position.y + offset.y }
+
+    positions.set(node.id, position)
+    return position
+  }
+
+  nodes.forEach(node => resolve(node))
+  return positions
+}
+
+/**
+ * Create the thumbnail of a flow
+ * @param {Object} flow - Flow data in the export format
+ * @returns {string|null} SVG data URL, null for an empty flow
+ */
+export function createFlowThumbnail(flow) {
+  const nodes = flow?.nodes || []
+  if (nodes.length === 0) return null
+
+  const positions = getAbsolutePositions(nodes)
+  const boxes = new Map(nodes.map(node => [node.id, { ...positions.get(node.id), ...getNodeSize(node), isGroup: node.type === NODE_TYPES.GROUP }]))
+
+  // Bounding box of the flow
+  const all = [...boxes.values()]
+  const minX = Math.min(...all.map(box => box.x))
+  const minY = Math.min(...all.map(box => box.y))
+  const maxX = Math.max(...all.map(box => box.x + box.width))
+  const maxY = Math.max(...all.map(box => box.y + box.height))
+
+  const scale = Math.min(
+    (THUMBNAIL_WIDTH - PADDING * 2) / (maxX - minX),
+    (THUMBNAIL_HEIGHT - PADDING * 2) / (maxY - minY)
+  )
+
+  // Center the flow in the thumbnail
+  const offsetX = (THUMBNAIL_WIDTH - (maxX - minX) * scale) / 2
+  const offsetY = (THUMBNAIL_HEIGHT - (maxY - minY) * scale) / 2
+  const toX = x => ((x - minX) * scale + offsetX).toFixed(1)
+  const toY = y => ((y - minY) * scale + offsetY).toFixed(1)
+
+  const edges = (flow.edges || [])
+    .filter(edge => boxes.has(edge.source) && boxes.has(edge.target))
+    .map(edge => {
+      const source = boxes.get(edge.source)
+      const target = boxes.get(edge.target)
+      return `<line x1="${toX(source.x + source.width)}" y1="${toY(source.y + source.height / 2)}" x2="${toX(target.x)}" y2="${toY(target.y + target.height / 2)}" stroke="${COLORS.edge}" stroke-width="1.5"/>`
+    })
+
+  // Groups first, so their children are drawn on top
+  const rects = all
+    .sort((a, b) => Number(b.isGroup) - Number(a.isGroup))
+    .map(box => `<rect x="${toX(box.x)}" y="${toY(box.y)}" width="${(box.width * scale).toFixed(1)}" height="${(box.height * scale).toFixed(1)}" rx="3" fill="${box.isGroup ? COLORS.group : COLORS.node}" stroke="${box.isGroup ? COLORS.groupBorder : COLORS.nodeBorder}"${box.isGroup ? ' stroke-dasharray="4 3"' : ''}/>`)
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${THUMBNAIL_WIDTH}" height="${THUMBNAIL_HEIGHT}" viewBox="0 0 ${THUMBNAIL_WIDTH} ${THUMBNAIL_HEIGHT}"><rect width="100%" height="100%" fill="${COLORS.background}"/>${rects.join('')}${edges.join('')}</svg>`
+
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`
+}
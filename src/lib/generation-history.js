@@ -0,0 +1,65 @@
+/**
+ * Generation history utilities
+ * Keeps an ordered list of results per generator node so earlier outputs can be restored
+ */
+
+// Entries hold base64 images, so keep the list bounded
+export const HISTORY_LIMIT = 20
+
+/**
+ * History entry
+ * @typedef {Object} HistoryEntry
+ * @property {string} id - Unique entry identifier
+ * @property {string} createdAt - ISO timestamp of the generation
+ * @property {string} prompt - Prompt used
+ * @property {string} model - Model ID used
+ * @property {Object} params - Model parameters used (image generators record the effective ones, defaults included)
+ * @property {number|null} [seed] - Seed used, for models that take one
+ * @property {string|Array<string>} output - Generated text, or generated image sources
+ * @property {number} [activeOutputIndex] - Selected image for multi-image outputs
+ * @property {string} [generationId] - Prediction ID
+ * @property {string} [inputFingerprint] - Fingerprint of the inputs (see staleness.js)
+ */
+
+/**
+ * Create a history entry for a finished generation
+ * @param {Object} generation - Generation details (prompt, model, params, output, ...)
+ * @returns {HistoryEntry}
+ */
+export function createHistoryEntry(generation) {
+  return {
+    id: `gen_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+    createdAt: new Date().toISOString(),
+    ...generation,
+    params: { ...(generation.params || {}) }
+  }
+}
+
+/**
+ * Append an entry, dropping the oldest entries beyond the limit
+ * Pinned entries count towards the limit but are never dropped, so the history can exceed it
+ * @param {Array<HistoryEntry>} history - Existing history (oldest first)
+ * @param {HistoryEntry} entry - Entry to append
+ * @param {number} [limit] - Maximum number of entries
+ * @param {Set<string>} [pinnedIds] - Entries to keep (e.g. referenced by batch results, see getBatchHistoryIds)
+ * @returns {Array<HistoryEntry>} New history array
+ */
+export function appendHistoryEntry(history = [], entry, limit = HISTORY_LIMIT, pinnedIds = new Set()) {
+  let excess = history.length + 1 - limit
+
+  return [...history.filter(item => {
+    if (excess <= 0 || pinnedIds.has(item.id)) return true
+    excess--
+    return false
+  }), entry]
+}
+
+/**
+ * Remove an entry from the history
+ * @param {Array<HistoryEntry>} history - Existing history
+ * @param {string} entryId - Entry to remove
+ * @returns {Array<HistoryEntry>} New history array
+ */
+export function removeHistoryEntry(history = [], entryId) {
+  return history.filter(entry => entry.id !== entryId)
+}
@@ -0,0 +1,187 @@
+/**
+ * Graph Executor
+ * Runs generator nodes in dependency order so a whole chain can be executed at once
+ */
+
+import { nextTick } from 'vue'
+import { topologicalSort, getUpstreamNodeIds } from './graph'
+
+/**
+ * Per-node run statuses reported while a run is in progress
+ */
+export const RUN_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  CANCELED: 'canceled'
+}
+
+/**
+ * Runner function registered by a node component
+ * Resolves when the node's output is written to its data, rejects on failure
+ * @typedef {Function} NodeRunner
+ * @returns {Promise<void>}
+ */
+
+class GraphExecutor {
+  constructor() {
+    this.runners = new Map()
+    this.isRunning = false
+  }
+
+  /**
+   * Register the runner for a node instance
+   * @param {string} nodeId - Node ID
+   * @param {NodeRunner} runner - Function that executes the node
+   */
+  registerRunner(nodeId, runner) {
+    this.runners.set(nodeId, runner)
+  }
+
+  /**
+   * Unregister the runner for a node instance
+   * @param {string} nodeId - Node ID
+   */
+  unregisterRunner(nodeId) {
+    this.runners.delete(nodeId)
+  }
+
+  /**
+   * Check if a node can be executed by the graph executor
+   * @param {string} nodeId - Node ID
+   * @returns {boolean}
+   */
+  hasRunner(nodeId) {
+    return this.runners.has(nodeId)
+  }
+
+  /**
+   * Build the ordered list of runnable nodes for a run
+   * @param {Array} nodes - Array of all nodes
+   * @param {Array} edges - Array of all edges
+   * @param {string|null} [targetNodeId] - Only include this node and its upstream nodes
+   * @param {Set<string>|null} [onlyNodeIds] - Only include these nodes
+   * @returns {Array<string>} Runnable node ids in execution order
+   * @throws {Error} If the graph contains a cycle
+   */
+  plan(nodes, edges, targetNodeId = null, onlyNodeIds = null) {
+    let order = topologicalSort(nodes, edges)
+
+    if (targetNodeId) {
+      const scope = getUpstreamNodeIds(targetNodeId, edges)
+      scope.add(targetNodeId)
+      order = order.filter(id => scope.has(id))
+    }
+
+    if (onlyNodeIds) {
+      order = order.filter(id => onlyNodeIds.has(id))
+    }
+
+    return order.filter(id => this.hasRunner(id))
+  }
+
+  /**
+   * Run runnable nodes in dependency order
+   * Independent branches run side by side; a node starts once every runnable
+   * node upstream of it has finished, and is skipped if any of them failed
+   * @param {Array} nodes - Array of all nodes
+   * @param {Array} edges - Array of all edges
+   * @param {Object} [options]
+   * @param {string} [options.targetNodeId] - Run only up to (and including) this node
+   * @param {Set<string>} [options.onlyNodeIds] - Run only these nodes (others keep their current output)
+   * @param {Function} [options.onStatus] - Called with (nodeId, status, error?) on every change
+   * @returns {Promise<Object>} { succeeded: string[], failed: string[], skipped: string[], canceled: string[] }
+   */
+  async run(nodes, edges, options = {}) {
+    const { targetNodeId = null, onlyNodeIds = null, onStatus = () => {} } = options
+
+    if (this.isRunning) {
+      throw new Error('A run is already in progress')
+    }
+
+    const plan = this.plan(nodes, edges, targetNodeId, onlyNodeIds)
+    const planned = new Set(plan)
+    const statuses = new Map()
+
+    const setStatus = (nodeId, status, error = null) => {
+      statuses.set(nodeId, status)
+      onStatus(nodeId, status, error)
+    }
+
+    plan.forEach(nodeId => setStatus(nodeId, RUN_STATUS.QUEUED))
+
+    this.isRunning = true
+
+    try {
+      // Chain each node behind its runnable ancestors (plan is already topologically ordered)
+      const tasks = new Map()
+
+      plan.forEach(nodeId => {
+        const dependencies = [...getUpstreamNodeIds(nodeId, edges)].filter(id => planned.has(id))
+        const waitFor = Promise.all(dependencies.map(id => tasks.get(id)))
+
+        tasks.set(nodeId, waitFor.then(() => this._runNode(nodeId, dependencies, statuses, setStatus)))
+      })
+
+      await Promise.all(tasks.values())
+    } finally {
+      this.isRunning = false
+    }
+
+    const collect = (status) => plan.filter(id => statuses.get(id) === status)
+
+    return {
+      succeeded: collect(RUN_STATUS.SUCCEEDED),
+      failed: collect(RUN_STATUS.FAILED),
+      skipped: collect(RUN_STATUS.SKIPPED),
+      canceled: collect(RUN_STATUS.CANCELED)
+    }
+  }
+
+  /**
+   * Execute a single node once its dependencies are settled (never rejects)
+   * @private
+   */
+  async _runNode(nodeId, dependencies, statuses, setStatus) {
+    const blocked = dependencies.some(id => statuses.get(id) !== RUN_STATUS.SUCCEEDED)
+    if (blocked) {
+      setStatus(nodeId, RUN_STATUS.SKIPPED)
+      return
+    }
+
+    const runner = this.runners.get(nodeId)
+    if (!runner) {
+      // Node was removed from the canvas while the run was in progress
+      setStatus(nodeId, RUN_STATUS.SKIPPED)
+      return
+    }
+
+    setStatus(nodeId, RUN_STATUS.RUNNING)
+
+    try {
+      // Let pass-through nodes (prompt, template) propagate upstream outputs first
+      await nextTick()
+      await runner()
+      setStatus(nodeId, RUN_STATUS.SUCCEEDED)
+    } catch (error) {
+      if (error?.name === 'CanceledError') {
+        // Canceled by the user - downstream nodes are skipped like after a failure
+        setStatus(nodeId, RUN_STATUS.CANCELED)
+        return
+      }
+
+      console.error(`[GraphExecutor] Node ${nodeId} failed:`, error)
+      setStatus(nodeId, RUN_STATUS.FAILED, error)
+    }
+  }
+}
+
+// Create and export singleton instance
+const graphExecutor = new GraphExecutor()
+
+export default graphExecutor
+
+// Export class for testing
+export { GraphExecutor }
@@ -0,0 +1,140 @@
+/**
+ * Graph utilities
+ * Dependency analysis over the flow's nodes and edges
+ */
+
+/**
+ * Get the ids of every node upstream of a node (direct and transitive)
+ * @param {string} nodeId - Node ID
+ * @param {Array} edges - Array of all edges
+ * @returns {Set<string>} Ids of all ancestor nodes
+ */
+export function getUpstreamNodeIds(nodeId, edges) {
+  const upstream = new Set()
+  const stack = [nodeId]
+
+  while (stack.length > 0) {
+    const current = stack.pop()
+
+    edges.forEach(edge => {
+      if (edge.target === current && !upstream.has(edge.source)) {
+        upstream.add(edge.source)
+        stack.push(edge.source)
+      }
+    })
+  }
+
+  return upstream
+}
+
+/**
+ * Get the ids of every node downstream of a node (direct and transitive)
+ * @param {string} nodeId - Node ID
+ * @param {Array} edges - Array of all edges
+ * @returns {Set<string>} Ids of all descendant nodes
+ */
+export function getDownstreamNodeIds(nodeId, edges) {
+  const downstream = new Set()
+  const stack = [nodeId]
+
+  while (stack.length > 0) {
+    const current = stack.pop()
+
+    edges.forEach(edge => {
+      if (edge.source === current && !downstream.has(edge.target)) {
+        downstream.add(edge.target)
+        stack.push(edge.target)
+      }
+    })
+  }
+
+  return downstream
+}
+
+/**
+ * Sort nodes in dependency order (Kahn's algorithm)
+ * Every node comes after all the nodes it receives input from
+ * @param {Array} nodes - Array of all nodes
+ * @param {Array} edges - Array of all edges
+ * @returns {Array<string>} Node ids in execution order
+ * @throws {Error} If the graph contains a cycle
+ */
+export function topologicalSort(nodes, edges) {
+  const inDegree = new Map(nodes.map(node => [node.id, 0]))
+
+  edges.forEach(edge => {
+    if (inDegree.has(edge.source) && inDegree.has(edge.target)) {
+      inDegree.set(edge.target, inDegree.get(edge.target) + 1)
+    }
+  })
+
+  // Start with nodes that have no incoming edges (keeps canvas order for ties)
+  const queue = nodes.filter(node => inDegree.get(node.id) === 0).map(node => node.id)
+  const order = []
+
+  while (queue.length > 0) {
+    const current = queue.shift()
+    order.push(current)
+
+    edges.forEach(edge => {
+      if (edge.source !== current || !inDegree.has(edge.target)) return
+
+      const remaining = inDegree.get(edge.target) - 1
+      inDegree.set(edge.target, remaining)
+      if (remaining === 0) {
+        queue.push(edge.target)
+      }
+    })
+  }
+
+  if (order.length !== nodes.length) {
+    throw new Error('Flow contains a cycle')
+  }
+
+  return order
+}
+
+/**
+ * Find a cycle in the graph
+ * @param {Array} nodes - Array of all nodes
+ * @param {Array} edges - Array of all edges
+ * @returns {Array<string>|null} Node ids along the cycle (first id repeated at the end) or null
+ */
+export function findCycle(nodes, edges) {
+  const VISITING = 1
+  const DONE = 2
+  const state = new Map()
+  const path = []
+
+  const visit = (nodeId) => {
+    state.set(nodeId, VISITING)
+    path.push(nodeId)
+
+    for (const edge of edges) {
+      if (edge.source !== nodeId) continue
+
+      const next = edge.target
+      if (state.get(next) === VISITING) {
+        return [...path.slice(path.indexOf(next)), next]
+      }
+
+      if (!state.has(next)) {
+        const cycle = visit(next)
+        if (cycle) return cycle
+      }
+    }
+
+    path.pop()
+    state.set(nodeId, DONE)
+    return null
+  }
+
+  for (const node of nodes) {
+    if (state.has(node.id)) continue
+
+    const cycle = visit(node.id)
+    if (cycle) return cycle
+  }
+
+  return null
+}
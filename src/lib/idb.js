@@ -0,0 +1,53 @@
+/**
+ * IndexedDB helpers
+ * Minimal promise wrappers around the IndexedDB API
+ */
+
+/**
+ * Check if IndexedDB can be used in this environment
+ * @returns {boolean}
+ */
+export function isIndexedDbAvailable() {
+  return typeof indexedDB !== 'undefined'
+}
+
+/**
+ * Open (and create or upgrade) a database
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} upgrade - Called with (db, oldVersion) when the schema must be created/upgraded
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase(name, version, upgrade) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version)
+
+    request.onupgradeneeded = () => upgrade(request.result, request.oldVersion)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+    request.onblocked = () => reject(new Error(`Database "${name}" is blocked by another tab`))
+  })
+}
+
+/**
+ * Run a transaction and resolve once it has completed
+ * @param {IDBDatabase} db - Open database
+ * @param {string|Array<string>} storeNames - Object stores used by the transaction
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} fn - Receives the object stores (in storeNames order).
+ *   If it returns an IDBRequest, the promise resolves with the request's result
+ * @returns {Promise<*>}
+ */
+export function runTransaction(db, storeNames, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames]
+    const transaction = db.transaction(names, mode)
+    const returned = fn(...names.map(name => transaction.objectStore(name)))
+
+    transaction.oncomplete = () => {
+      resolve(returned instanceof IDBRequest ? returned.result : returned)
+    }
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+  })
+}
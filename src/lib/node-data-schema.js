@@ -0,0 +1,97 @@
+/**
+ * Node data schemas
+ * Checks the `data` of a node against the schema declared for its type in the node registry.
+ *
+ * A schema maps data fields to a type ('string', 'number', 'integer', 'boolean', 'object', 'array')
+ * or to a descriptor { type, items, enum }. Every field is optional and may be null
+ * (nodes fall back to their defaults); fields that aren't declared are not checked.
+ *
+ * @example
+ * {
+ *   prompt: 'string',
+ *   outputs: { type: 'array', items: 'string' },
+ *   seedMode: { type: 'string', enum: ['random', 'fixed'] }
+ * }
+ */
+
+/**
+ * Normalize a field schema to a descriptor
+ * @param {string|Object} fieldSchema
+ * @returns {Object} { type, items, enum }
+ */
+function toDescriptor(fieldSchema) {
+  return typeof fieldSchema === 'string' ? { type: fieldSchema } : fieldSchema
+}
+
+/**
+ * Check if a value has a schema type
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string'
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value)
+    case 'integer':
+      return Number.isInteger(value)
+    case 'boolean':
+      return typeof value === 'boolean'
+    case 'array':
+      return Array.isArray(value)
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value)
+    default:
+      return true
+  }
+}
+
+/**
+ * Name of a type in error messages
+ * @param {string} type
+ * @returns {string}
+ */
+function describeType(type) {
+  return ['array', 'object', 'integer'].includes(type) ? `an ${type}` : `a ${type}`
+}
+
+/**
+ * Validate one value
+ * @param {string} path - Field path for messages (e.g. "outputs[2]")
+ * @param {*} value
+ * @param {string|Object} fieldSchema
+ * @returns {Array<string>} Problems found
+ */
+function validateValue(path, value, fieldSchema) {
+  if (value === undefined || value === null) return []
+
+  const descriptor = toDescriptor(fieldSchema)
+
+  if (!hasType(value, descriptor.type)) {
+    return [`${path} must be ${describeType(descriptor.type)}`]
+  }
+
+  if (Array.isArray(descriptor.enum) && !descriptor.enum.includes(value)) {
+    return [`${path} must be one of: ${descriptor.enum.join(', ')}`]
+  }
+
+  if (descriptor.type === 'array' && descriptor.items) {
+    return value.flatMap((item, index) => validateValue(`${path}[${index}]`, item, descriptor.items))
+  }
+
+  return []
+}
+
+/**
+ * Validate node data against a schema
+ * @param {Object} data - Node data
+ * @param {Object} schema - Field schemas by name
+ * @returns {Array<Object>} Problems found, as { field, message } (empty if valid)
+ */
+export function validateNodeData(data, schema = {}) {
+  return Object.entries(schema).flatMap(([field, fieldSchema]) =>
+    validateValue(field, data[field], fieldSchema).map(message => ({ field, message }))
+  )
+}
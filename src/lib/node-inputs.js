@@ -0,0 +1,63 @@
+/**
+ * Node input helpers
+ * Resolve the values a node receives through its incoming edges
+ */
+
+import { getEdgePortType } from './connection'
+import { PORT_TYPES } from './node-shapes'
+import nodeRegistry from './node-registry'
+
+/**
+ * Get images connected to a node's IMAGE inputs
+ * @param {string} nodeId - Target node ID
+ * @param {Array} nodes - Array of all nodes
+ * @param {Array} edges - Array of all edges
+ * @returns {Array<Object>} Array of { src, name, nodeId, handle }
+ */
+export function getConnectedImages(nodeId, nodes, edges) {
+  return edges
+    .filter(edge => edge.target === nodeId)
+    .map(edge => {
+      // Check if this edge connects an IMAGE port
+      const portType = getEdgePortType(edge, nodes, nodeRegistry, true)
+      if (portType !== PORT_TYPES.IMAGE) return null
+
+      const sourceNode = nodes.find(n => n.id === edge.source)
+      if (!sourceNode || !sourceNode.data) return null
+
+      const imageSrc = sourceNode.data.src || sourceNode.data.lastOutputSrc
+      if (!imageSrc) return null
+
+      return {
+        src: imageSrc,
+        name: sourceNode.data.name || sourceNode.data.label,
+        nodeId: sourceNode.id,
+        handle: edge.targetHandle
+      }
+    })
+    .filter(img => img !== null)
+}
+
+/**
+ * Get the first prompt connected to a node's PROMPT inputs
+ * @param {string} nodeId - Target node ID
+ * @param {Array} nodes - Array of all nodes
+ * @param {Array} edges - Array of all edges
+ * @returns {string|null} Connected prompt or null
+ */
+export function getConnectedPrompt(nodeId, nodes, edges) {
+  const incomingEdges = edges.filter(edge => edge.target === nodeId)
+
+  for (const edge of incomingEdges) {
+    // Check if this edge connects a PROMPT port
+    const portType = getEdgePortType(edge, nodes, nodeRegistry, true)
+    if (portType !== PORT_TYPES.PROMPT) continue
+
+    const sourceNode = nodes.find(n => n.id === edge.source)
+    if (sourceNode && sourceNode.data?.prompt) {
+      return sourceNode.data.prompt
+    }
+  }
+
+  return null
+}
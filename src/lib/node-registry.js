@@ -3,6 +3,8 @@
  * Centralized registry for all node types with their metadata and components
  */
 
+import { validateNodeData } from './node-data-schema'
+
 /**
  * Node definition structure
  * @typedef {Object} NodeDefinition
@@ -12,6 +14,7 @@
  * @property {Array<string>} inputs - Array of input port types
  * @property {Array<string>} outputs - Array of output port types
  * @property {Object} component - Vue component for rendering this node
+ * @property {Object} [dataSchema] - Types of the node's data fields, checked on import (see node-data-schema.js)
  * @property {Object} [config] - Additional configuration options
  */
 
@@ -55,6 +58,10 @@ class NodeRegistry {
       throw new Error('Node definition must have a "component"')
     }
 
+    if (definition.dataSchema !== undefined && (typeof definition.dataSchema !== 'object' || definition.dataSchema === null)) {
+      throw new Error('Node definition "dataSchema" must be an object')
+    }
+
     // Register the node
     this.nodes.set(definition.type, {
       type: definition.type,
@@ -63,6 +70,7 @@ class NodeRegistry {
       inputs: [...definition.inputs],
       outputs: [...definition.outputs],
       component: definition.component,
+      dataSchema: definition.dataSchema || {},
       config: definition.config || {}
     })
 
@@ -119,6 +127,18 @@ class NodeRegistry {
     console.log('[NodeRegistry] Cleared all registered nodes')
   }
 
+  /**
+   * Validate node data against the schema of its type
+   * Unknown types have no schema, so their data is not checked
+   * @param {string} type - Node type
+   * @param {Object} data - Node data
+   * @returns {Array<Object>} Problems found, as { field, message } (empty if valid)
+   */
+  validateNodeData(type, data) {
+    const def = this.getNodeDef(type)
+    return def ? validateNodeData(data, def.dataSchema) : []
+  }
+
   /**
    * Get component for a node type
    * @param {string} type - Node type
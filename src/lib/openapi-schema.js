@@ -0,0 +1,155 @@
+/**
+ * OpenAPI input schema utilities
+ * Turns the input schema Replicate publishes for each model version (openapi_schema)
+ * into toolbar controls, default parameters and a parameter validator,
+ * so model configs only describe what differs from the schema.
+ */
+
+import { validateParams, InvalidParamsError } from './param-validation'
+
+/**
+ * Property types that cannot be edited in the toolbar
+ */
+const NON_CONTROL_FORMATS = ['uri', 'password']
+
+/**
+ * Turn an input key into a label ("num_inference_steps" → "Num Inference Steps")
+ * @param {string} key
+ * @returns {string}
+ */
+export function toLabel(key) {
+  return key
+    .split(/[_\s-]+/)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join(' ')
+}
+
+/**
+ * Find the input schema in an OpenAPI document
+ * @param {Object} openapi - Full document, { components: { schemas: { Input } } }, or the Input schema itself
+ * @returns {Object} Input schema ({ type: 'object', properties, required })
+ * @throws {Error} If there is no input schema
+ */
+export function getInputSchema(openapi) {
+  const input = openapi?.components?.schemas?.Input || openapi
+  if (!input?.properties || typeof input.properties !== 'object') {
+    throw new Error('OpenAPI schema has no Input properties')
+  }
+  return input
+}
+
+/**
+ * Resolve a property's $ref / allOf references (Replicate declares enums as referenced schemas)
+ * The property's own fields win over the referenced ones; referenced titles are ignored
+ * because they repeat the key in lower case.
+ * @param {Object} property - Property schema
+ * @param {Object} openapi - Document the references point into
+ * @returns {Object} Flattened property
+ */
+function resolveProperty(property, openapi) {
+  const { allOf = [], $ref, ...own } = property
+  const refs = $ref ? [...allOf, { $ref }] : allOf
+
+  const resolved = refs.reduce((merged, part) => {
+    if (!part.$ref) return { ...merged, ...part }
+
+    const name = part.$ref.split('/').pop()
+    const { title, ...target } = openapi?.components?.schemas?.[name] || {}
+    return { ...merged, ...resolveProperty(target, openapi) }
+  }, {})
+
+  return { ...resolved, ...own }
+}
+
+/**
+ * Get the toolbar control type for a property
+ * @param {Object} property - Resolved property
+ * @returns {string|null} 'select', 'checkbox', 'number', 'text', or null if it has no control
+ */
+function getControlType(property) {
+  if (Array.isArray(property.enum)) return 'select'
+  if (property.type === 'boolean') return 'checkbox'
+  if (property.type === 'integer' || property.type === 'number') return 'number'
+  if (property.type === 'string' && !NON_CONTROL_FORMATS.includes(property.format)) return 'text'
+  return null
+}
+
+/**
+ * Build controls, defaults and a validator from a model's OpenAPI input schema
+ * @param {Object} openapi - OpenAPI document or Input schema (see getInputSchema)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.exclude] - Inputs filled by the node (prompt, images): no control, default or validation
+ * @param {Array<string>} [options.hidden] - Parameters that keep their default and validation but get no toolbar control
+ * @param {Object} [options.overrides] - Property fields to replace, by key (e.g. { output_format: { default: 'png' } });
+ *   `title` sets the control label
+ * @param {string} [options.seed] - Key of the seed input (default: 'seed'); an integer seed gets the node's seed control
+ * @returns {Object} { properties, fields, controls, defaults, seed, validateParams(params) }
+ *   where seed is { key, min, max } or null if the model takes no seed
+ */
+export function createModelSchema(openapi, options = {}) {
+  const { exclude = [], hidden = [], overrides = {}, seed: seedKey = 'seed' } = options
+  const input = getInputSchema(openapi)
+  const required = input.required || []
+
+  const properties = Object.fromEntries(
+    Object.entries(input.properties)
+      .filter(([key]) => !exclude.includes(key))
+      .map(([key, property]) => [key, { ...resolveProperty(property, openapi), ...overrides[key] }])
+      .sort(([, a], [, b]) => (a['x-order'] ?? Infinity) - (b['x-order'] ?? Infinity))
+  )
+
+  const defaults = Object.fromEntries(
+    Object.entries(properties)
+      .filter(([, property]) => property.default !== undefined && property.default !== null)
+      .map(([key, property]) => [key, property.default])
+  )
+
+  // Every parameter, described like a toolbar control (type null: no control, passed as is)
+  const fields = Object.entries(properties).map(([key, property]) => ({
+    key,
+    label: property.title || toLabel(key),
+    type: getControlType(property),
+    ...(property.enum && { enum: property.enum }),
+    ...(property.minimum !== undefined && { min: property.minimum }),
+    ...(property.maximum !== undefined && { max: property.maximum }),
+    ...(property.type === 'integer' && { integer: true }),
+    ...(required.includes(key) && { required: true }),
+    default: property.default ?? null
+  }))
+
+  // The seed is set by the node's seed mode (fixed, random, increment), not by a toolbar control
+  const seedField = fields.find(field => field.key === seedKey && field.integer)
+  const seed = seedField
+    ? {
+        key: seedKey,
+        ...(seedField.min !== undefined && { min: seedField.min }),
+        ...(seedField.max !== undefined && { max: seedField.max })
+      }
+    : null
+
+  const controls = fields.filter(field => field.type && !hidden.includes(field.key) && field !== seedField)
+
+  return {
+    properties,
+    fields,
+    controls,
+    defaults,
+    seed,
+
+    /**
+     * Validate and sanitize parameters
+     * Empty values are skipped, unknown keys are dropped
+     * @param {Object} params
+     * @returns {Object} Validated parameters
+     * @throws {InvalidParamsError} With the error of each invalid field
+     */
+    validateParams(params = {}) {
+      const { values, errors } = validateParams(fields, params)
+      if (Object.keys(errors).length > 0) {
+        throw new InvalidParamsError(errors)
+      }
+      return values
+    }
+  }
+}
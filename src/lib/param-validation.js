@@ -0,0 +1,110 @@
+/**
+ * Parameter validation
+ * Checks model parameters against field descriptors shaped like uiSchema controls:
+ * { key, label, type, enum, min, max, integer, required, default }
+ * where type is 'select', 'number', 'checkbox', 'text', or null for values passed as they are.
+ *
+ * Errors are reported per field so toolbars can flag the invalid controls.
+ */
+
+/**
+ * Error thrown by model validateParams() when some fields are invalid
+ */
+export class InvalidParamsError extends Error {
+  /**
+   * @param {Object} fields - Error message by parameter key
+   */
+  constructor(fields) {
+    super(Object.values(fields).join('; '))
+    this.name = 'InvalidParamsError'
+    this.fields = fields
+  }
+}
+
+/**
+ * Check if a parameter value counts as not set
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === ''
+}
+
+/**
+ * Validate one value
+ * @param {Object} field - Field descriptor
+ * @param {*} value - Value to check (toolbar values may come as strings)
+ * @returns {{ value: *, error: string|null }} Sanitized value, or the problem found
+ */
+export function validateField(field, value) {
+  const label = field.label || field.key
+
+  if (Array.isArray(field.enum)) {
+    // Selects return strings, enums may hold numbers
+    const option = field.enum.find(entry => String(entry) === String(value))
+    return option === undefined
+      ? { value, error: `${label} must be one of: ${field.enum.join(', ')}` }
+      : { value: option, error: null }
+  }
+
+  if (field.type === 'number') {
+    const number = typeof value === 'boolean' ? NaN : Number(value)
+    if (Number.isNaN(number)) {
+      return { value, error: `${label} must be a number` }
+    }
+    if (field.integer && !Number.isInteger(number)) {
+      return { value, error: `${label} must be a whole number` }
+    }
+
+    const { min, max } = field
+    if ((min !== undefined && number < min) || (max !== undefined && number > max)) {
+      if (min !== undefined && max !== undefined) {
+        return { value, error: `${label} must be between ${min} and ${max}` }
+      }
+      return { value, error: min !== undefined ? `${label} must be at least ${min}` : `${label} must be at most ${max}` }
+    }
+    return { value: number, error: null }
+  }
+
+  if (field.type === 'checkbox') {
+    return { value: value === true || value === 'true', error: null }
+  }
+
+  if (field.type === 'text') {
+    return { value: String(value), error: null }
+  }
+
+  return { value, error: null }
+}
+
+/**
+ * Validate parameters against fields
+ * Unknown keys are dropped; empty values are skipped unless the field is required and has no default
+ * @param {Array<Object>} fields - Field descriptors (e.g. uiSchema.controls)
+ * @param {Object} [params] - Parameter values
+ * @returns {{ values: Object, errors: Object }} Sanitized values, and error messages by key
+ */
+export function validateParams(fields, params = {}) {
+  const values = {}
+  const errors = {}
+
+  fields.forEach(field => {
+    const value = params[field.key]
+
+    if (isEmpty(value)) {
+      if (field.required && isEmpty(field.default)) {
+        errors[field.key] = `${field.label || field.key} is required`
+      }
+      return
+    }
+
+    const result = validateField(field, value)
+    if (result.error) {
+      errors[field.key] = result.error
+    } else {
+      values[field.key] = result.value
+    }
+  })
+
+  return { values, errors }
+}
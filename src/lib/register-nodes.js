@@ -5,6 +5,7 @@
 
 import nodeRegistry from './node-registry'
 import { NODE_TYPES, PORT_TYPES } from './node-shapes'
+import { SEED_MODES } from './seed'
 import ImageNode from '@/components/nodes/ImageNode.vue'
 import ImageGeneratorNode from '@/components/nodes/ImageGeneratorNode.vue'
 import PromptNode from '@/components/nodes/PromptNode.vue'
@@ -14,6 +15,21 @@ import ImageCompareNode from '@/components/nodes/ImageCompareNode.vue'
 import TextGeneratorNode from '@/components/nodes/TextGeneratorNode.vue'
 import GroupNode from '@/components/nodes/GroupNode.vue'
 
+// Data fields shared by the generator nodes (see node-data-schema.js for the format)
+const GENERATOR_DATA_SCHEMA = {
+  label: 'string',
+  prompt: 'string',
+  model: 'string',
+  params: 'object',
+  history: { type: 'array', items: 'object' },
+  activeHistoryId: 'string',
+  inputFingerprint: 'string',
+  cached: 'boolean',
+  pendingPrediction: 'object',
+  error: 'string',
+  errorDetails: 'object'
+}
+
 /**
  * Register all available node types
  */
@@ -26,6 +42,11 @@ export function registerAllNodes() {
     inputs: [],
     outputs: [PORT_TYPES.IMAGE],
     component: ImageNode,
+    dataSchema: {
+      label: 'string',
+      src: 'string',
+      name: 'string'
+    },
     config: {
       category: 'Input',
       color: '#4CAF50'
@@ -40,6 +61,16 @@ export function registerAllNodes() {
     inputs: [PORT_TYPES.IMAGE, PORT_TYPES.PROMPT],
     outputs: [PORT_TYPES.IMAGE],
     component: ImageGeneratorNode,
+    dataSchema: {
+      ...GENERATOR_DATA_SCHEMA,
+      lastOutputSrc: 'string',
+      outputs: { type: 'array', items: 'string' },
+      activeOutputIndex: 'integer',
+      generationId: 'string',
+      generationMetadata: 'object',
+      seed: 'integer',
+      seedMode: { type: 'string', enum: Object.values(SEED_MODES) }
+    },
     config: {
       category: 'Generator',
       color: '#2196F3'
@@ -54,6 +85,10 @@ export function registerAllNodes() {
     inputs: [PORT_TYPES.PROMPT],
     outputs: [PORT_TYPES.PROMPT],
     component: PromptNode,
+    dataSchema: {
+      label: 'string',
+      prompt: 'string'
+    },
     config: {
       category: 'Input',
       color: '#9C27B0'
@@ -68,6 +103,13 @@ export function registerAllNodes() {
     inputs: [PORT_TYPES.PROMPT],
     outputs: [PORT_TYPES.PROMPT],
     component: PromptTemplateNode,
+    dataSchema: {
+      label: 'string',
+      prompt: 'string',
+      variables: 'object',
+      batch: 'object',
+      batchResults: { type: 'array', items: 'object' }
+    },
     config: {
       category: 'Processing',
       color: '#7C3AED'
@@ -82,6 +124,9 @@ export function registerAllNodes() {
     inputs: [PORT_TYPES.IMAGE, PORT_TYPES.IMAGE],
     outputs: [],
     component: DiffNode,
+    dataSchema: {
+      label: 'string'
+    },
     config: {
       category: 'Processing',
       color: '#FF9800'
@@ -96,6 +141,9 @@ export function registerAllNodes() {
     inputs: [PORT_TYPES.IMAGE, PORT_TYPES.IMAGE],
     outputs: [],
     component: ImageCompareNode,
+    dataSchema: {
+      label: 'string'
+    },
     config: {
       category: 'Processing',
       color: '#00BCD4'
@@ -110,6 +158,13 @@ export function registerAllNodes() {
     inputs: [PORT_TYPES.IMAGE, PORT_TYPES.PROMPT],
     outputs: [PORT_TYPES.PROMPT],
     component: TextGeneratorNode,
+    dataSchema: {
+      ...GENERATOR_DATA_SCHEMA,
+      userPrompt: 'string',
+      generatedText: 'string',
+      lastGenerationId: 'string',
+      stream: 'boolean'
+    },
     config: {
       category: 'Generator',
       color: '#E91E63'
@@ -124,6 +179,9 @@ export function registerAllNodes() {
     inputs: [],
     outputs: [],
     component: GroupNode,
+    dataSchema: {
+      label: 'string'
+    },
     config: {
       category: 'Layout',
       color: '#16a34a',
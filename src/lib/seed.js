@@ -0,0 +1,64 @@
+/**
+ * Seed utilities
+ * Picks the seed of each run for models that take one, so results can be reproduced
+ */
+
+/**
+ * How a generator node picks its seed on every run
+ */
+export const SEED_MODES = {
+  RANDOM: 'random', // New random seed every run
+  FIXED: 'fixed', // Same seed every run
+  INCREMENT: 'increment' // Seed + 1 after every run
+}
+
+// Largest seed accepted by every backend (32-bit signed)
+export const MAX_SEED = 2147483647
+
+/**
+ * Get the range of seeds a model accepts
+ * @param {Object} seedSupport - Model seed ({ key, min, max }, see createModelSchema)
+ * @returns {{ min: number, max: number }}
+ */
+function getSeedRange(seedSupport = {}) {
+  const min = Math.max(seedSupport.min ?? 0, 0)
+  const max = Math.min(seedSupport.max ?? MAX_SEED, MAX_SEED)
+  return { min, max }
+}
+
+/**
+ * Pick a random seed
+ * @param {Object} [seedSupport] - Model seed ({ key, min, max })
+ * @returns {number}
+ */
+export function randomSeed(seedSupport) {
+  const { min, max } = getSeedRange(seedSupport)
+  return min + Math.floor(Math.random() * (max - min + 1))
+}
+
+/**
+ * Resolve the seed of a run
+ * Without a stored seed, fixed and increment start from a random one
+ * @param {string} mode - One of SEED_MODES (default: random)
+ * @param {number|null} seed - Seed stored on the node
+ * @param {Object} [seedSupport] - Model seed ({ key, min, max })
+ * @returns {{ seed: number, next: number }} Seed to run with, and the seed to store on the node afterwards
+ */
+export function resolveSeed(mode, seed, seedSupport) {
+  const { min, max } = getSeedRange(seedSupport)
+  const stored = Number.isInteger(seed) && seed >= min && seed <= max ? seed : null
+
+  if (mode === SEED_MODES.FIXED) {
+    const value = stored ?? randomSeed(seedSupport)
+    return { seed: value, next: value }
+  }
+
+  if (mode === SEED_MODES.INCREMENT) {
+    const value = stored ?? randomSeed(seedSupport)
+    return { seed: value, next: value >= max ? min : value + 1 }
+  }
+
+  // Random: keep the seed that was used, so it can be fixed afterwards
+  const value = randomSeed(seedSupport)
+  return { seed: value, next: value }
+}
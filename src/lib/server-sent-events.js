@@ -0,0 +1,31 @@
+/**
+ * Server-sent events utilities
+ * Incremental parser for text/event-stream responses read through fetch
+ */
+
+/**
+ * Split complete server-sent events off a text buffer
+ * @param {string} buffer - Text received so far
+ * @returns {Object} { events: Array<{ type, data }>, rest: string } - rest is the incomplete tail
+ */
+export function parseServerSentEvents(buffer) {
+  const blocks = buffer.replace(/\r\n?/g, '\n').split('\n\n')
+  const rest = blocks.pop()
+
+  const events = blocks.map(block => {
+    let type = 'message'
+    const data = []
+
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) {
+        type = line.slice(6).trim()
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''))
+      }
+    })
+
+    return { type, data: data.join('\n') }
+  })
+
+  return { events, rest }
+}
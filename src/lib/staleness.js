@@ -0,0 +1,166 @@
+/**
+ * Stale output tracking
+ * Fingerprints the inputs of generator nodes so outdated results can be detected
+ */
+
+import { NODE_TYPES } from './node-shapes'
+import { topologicalSort } from './graph'
+import { getConnectedImages, getConnectedPrompt } from './node-inputs'
+import { SEED_MODES } from './seed'
+
+// Image sources are usually large data URLs - cache their hashes by string
+const HASH_CACHE_LIMIT = 200
+const hashCache = new Map()
+
+/**
+ * Default model per generator node type (mirrors the node components)
+ */
+const DEFAULT_MODELS = {
+  [NODE_TYPES.IMAGE_GENERATOR]: 'nano-banana-pro',
+  [NODE_TYPES.TEXT_GENERATOR]: 'gpt-5'
+}
+
+/**
+ * Hash a string into a short hex digest (cyrb53, non-cryptographic)
+ * @param {string} str - String to hash
+ * @returns {string} Hex digest
+ */
+export function hashString(str) {
+  if (hashCache.has(str)) {
+    return hashCache.get(str)
+  }
+
+  let h1 = 0xdeadbeef
+  let h2 = 0x41c6ce57
+
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i)
+    h1 = Math.imul(h1 ^ ch, 2654435761)
+    h2 = Math.imul(h2 ^ ch, 1597334677)
+  }
+
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+
+  const digest = (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16)
+
+  if (hashCache.size >= HASH_CACHE_LIMIT) {
+    hashCache.delete(hashCache.keys().next().value)
+  }
+  hashCache.set(str, digest)
+
+  return digest
+}
+
+/**
+ * Serialize a value with object keys sorted so equal params give equal strings
+ * @param {*} value
+ * @returns {string}
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort()
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+  }
+
+  return JSON.stringify(value ?? null)
+}
+
+/**
+ * Compute the fingerprint of a generation's inputs
+ * @param {Object} inputs
+ * @param {string} inputs.prompt - Prompt used for generation
+ * @param {Array<string>} [inputs.imageSrcs] - Connected image sources
+ * @param {string} inputs.model - Model ID
+ * @param {Object} [inputs.params] - Model parameters
+ * @param {number|null} [inputs.seed] - Fixed seed (left out when null, so older fingerprints still match)
+ * @returns {string} Fingerprint
+ */
+export function computeInputFingerprint({ prompt, imageSrcs = [], model, params = {}, seed = null }) {
+  return hashString(stableStringify({
+    prompt: (prompt || '').trim(),
+    images: imageSrcs.map(hashString),
+    model,
+    params,
+    ...(seed !== null && seed !== undefined && { seed })
+  }))
+}
+
+/**
+ * Check if a node type records input fingerprints with its results
+ * @param {string} nodeType - Node type
+ * @returns {boolean}
+ */
+export function isGeneratorNode(nodeType) {
+  return nodeType in DEFAULT_MODELS
+}
+
+/**
+ * Resolve the current inputs of a generator node from the graph
+ * @param {Object} node - Generator node
+ * @param {Array} nodes - Array of all nodes
+ * @param {Array} edges - Array of all edges
+ * @returns {Object} { prompt, imageSrcs, model, params, seed }
+ */
+export function getGeneratorInputs(node, nodes, edges) {
+  const connectedPrompt = getConnectedPrompt(node.id, nodes, edges)
+  // Text generators keep the user's prompt separate from their output prompt
+  const ownPrompt = node.type === NODE_TYPES.TEXT_GENERATOR
+    ? node.data?.userPrompt
+    : node.data?.prompt
+
+  return {
+    prompt: connectedPrompt || ownPrompt || '',
+    imageSrcs: getConnectedImages(node.id, nodes, edges).map(img => img.src),
+    model: node.data?.model || DEFAULT_MODELS[node.type],
+    params: node.data?.params || {},
+    // Random and increment seeds change on every run, only a fixed seed is an input
+    seed: node.data?.seedMode === SEED_MODES.FIXED ? node.data.seed ?? null : null
+  }
+}
+
+/**
+ * Find generator nodes whose stored result no longer matches their inputs
+ * A result is also stale when any node upstream of it is stale
+ * @param {Array} nodes - Array of all nodes
+ * @param {Array} edges - Array of all edges
+ * @returns {Set<string>} Ids of nodes with stale results
+ */
+export function findStaleNodeIds(nodes, edges) {
+  const stale = new Set()
+  const tainted = new Set()
+
+  let order
+  try {
+    order = topologicalSort(nodes, edges)
+  } catch {
+    // Cyclic graphs have no meaningful dependency order
+    return stale
+  }
+
+  const nodesById = new Map(nodes.map(node => [node.id, node]))
+
+  order.forEach(nodeId => {
+    const node = nodesById.get(nodeId)
+    const upstreamTainted = edges.some(edge => edge.target === nodeId && tainted.has(edge.source))
+    const fingerprint = node.data?.inputFingerprint
+
+    if (!isGeneratorNode(node.type) || !fingerprint) {
+      // Pass-through nodes (and results without a fingerprint) only forward staleness
+      if (upstreamTainted) tainted.add(nodeId)
+      return
+    }
+
+    const current = computeInputFingerprint(getGeneratorInputs(node, nodes, edges))
+    if (upstreamTainted || current !== fingerprint) {
+      stale.add(nodeId)
+      tainted.add(nodeId)
+    }
+  })
+
+  return stale
+}
@@ -1,11 +1,21 @@
 import { createRouter, createWebHistory } from 'vue-router'
+import ProjectsView from '../views/ProjectsView.vue'
 import FlowCanvasView from '../views/FlowCanvasView.vue'
 
 const routes = [
   {
     path: '/',
+    name: 'Projects',
+    component: ProjectsView
+  },
+  {
+    path: '/flow/:id',
     name: 'FlowCanvas',
     component: FlowCanvasView
+  },
+  {
+    path: '/:pathMatch(.*)*',
+    redirect: { name: 'Projects' }
   }
 ]
 
@@ -0,0 +1,198 @@
+/**
+ * Service Errors
+ * Error classes shared by the generation services
+ *
+ * Every error carries a `kind` so callers can branch without parsing messages,
+ * plus whatever the API told us (HTTP status, prediction id, logs, raw detail).
+ */
+
+/**
+ * Error kinds
+ */
+export const ERROR_KINDS = {
+  AUTH: 'auth',
+  RATE_LIMIT: 'rate_limit',
+  VALIDATION: 'validation',
+  MODEL: 'model',
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  CANCELED: 'canceled',
+  SERVICE: 'service'
+}
+
+const MAX_STORED_LOG_LENGTH = 4000
+
+/**
+ * Base class for generation errors
+ */
+export class ServiceError extends Error {
+  /**
+   * @param {string} message - User-facing message
+   * @param {Object} [details]
+   * @param {number} [details.status] - HTTP status of the failed response
+   * @param {string} [details.predictionId] - Replicate prediction ID
+   * @param {string} [details.logs] - Replicate prediction logs
+   * @param {string} [details.detail] - Raw error detail returned by the API
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined)
+    this.name = 'ServiceError'
+    this.kind = ERROR_KINDS.SERVICE
+    this.status = details.status ?? null
+    this.predictionId = details.predictionId ?? null
+    this.logs = details.logs ?? null
+    this.detail = details.detail ?? null
+  }
+
+  /**
+   * Plain object for storing in node data (survives export/import)
+   * Logs are cut to their tail so flows stay small
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      kind: this.kind,
+      message: this.message,
+      status: this.status,
+      predictionId: this.predictionId,
+      logs: this.logs ? this.logs.slice(-MAX_STORED_LOG_LENGTH) : null,
+      detail: this.detail
+    }
+  }
+}
+
+/**
+ * Missing or rejected API token (401/403)
+ */
+export class AuthError extends ServiceError {
+  constructor(message = 'Invalid API token. Please check your Replicate API key.', details) {
+    super(message, details)
+    this.name = 'AuthError'
+    this.kind = ERROR_KINDS.AUTH
+  }
+}
+
+/**
+ * Too many requests (429), after retries ran out
+ */
+export class RateLimitError extends ServiceError {
+  constructor(message = 'Rate limit exceeded. Please try again later.', details) {
+    super(message, details)
+    this.name = 'RateLimitError'
+    this.kind = ERROR_KINDS.RATE_LIMIT
+  }
+}
+
+/**
+ * Invalid input, rejected locally or by the API (400/422)
+ * `fields` holds the error of each invalid parameter when they were checked locally
+ */
+export class ValidationError extends ServiceError {
+  /**
+   * @param {string} [message]
+   * @param {Object} [details] - See ServiceError, plus:
+   * @param {Object} [details.fields] - Error message by parameter key
+   */
+  constructor(message = 'Invalid input', details = {}) {
+    super(message, details)
+    this.name = 'ValidationError'
+    this.kind = ERROR_KINDS.VALIDATION
+    this.fields = details.fields ?? null
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), fields: this.fields }
+  }
+}
+
+/**
+ * The prediction ran and failed on Replicate
+ */
+export class ModelError extends ServiceError {
+  constructor(message = 'Prediction failed', details) {
+    super(message, details)
+    this.name = 'ModelError'
+    this.kind = ERROR_KINDS.MODEL
+  }
+}
+
+/**
+ * The API could not be reached
+ */
+export class NetworkError extends ServiceError {
+  constructor(message = 'Could not reach the API. Check your connection and try again.', details) {
+    super(message, details)
+    this.name = 'NetworkError'
+    this.kind = ERROR_KINDS.NETWORK
+  }
+}
+
+/**
+ * The request or the prediction took too long
+ */
+export class TimeoutError extends ServiceError {
+  constructor(message = 'Generation timed out. Please try again.', details) {
+    super(message, details)
+    this.name = 'TimeoutError'
+    this.kind = ERROR_KINDS.TIMEOUT
+  }
+}
+
+/**
+ * Raised when a generation is canceled by the user
+ * Not a failure: nodes show a "canceled" state instead of an error
+ */
+export class CanceledError extends ServiceError {
+  constructor(message = 'Generation was canceled', details) {
+    super(message, details)
+    this.name = 'CanceledError'
+    this.kind = ERROR_KINDS.CANCELED
+  }
+}
+
+/**
+ * Read the error message out of a response body
+ * Replicate sends { detail, title }, OpenAI-style APIs { error: { message } }
+ * @param {Object} [body] - Parsed response body
+ * @returns {string|null}
+ */
+function getBodyDetail(body) {
+  if (!body || typeof body !== 'object') return null
+  if (body.detail || body.title) return body.detail || body.title
+  if (typeof body.error === 'string') return body.error
+  return body.error?.message || null
+}
+
+/**
+ * Build the error for a failed HTTP response
+ * @param {number} status - HTTP status
+ * @param {Object} [body] - Parsed response body ({ detail })
+ * @param {Object} [details] - Extra details (predictionId, ...)
+ * @param {string} [details.service] - Name of the API, for messages (default: Replicate)
+ * @returns {ServiceError}
+ */
+export function createHttpError(status, body = {}, details = {}) {
+  const { service = 'Replicate', ...rest } = details
+  const detail = getBodyDetail(body)
+  const errorDetails = { ...rest, status, detail }
+
+  if (status === 401 || status === 403) {
+    const message = service === 'Replicate' ? undefined : `${service} rejected the API key. Please check it in Settings.`
+    return new AuthError(message, errorDetails)
+  }
+
+  if (status === 429) {
+    return new RateLimitError(undefined, errorDetails)
+  }
+
+  if (status === 400 || status === 422) {
+    return new ValidationError(detail || `Invalid request (status ${status})`, errorDetails)
+  }
+
+  if (status >= 500) {
+    return new ServiceError(`${service} service is temporarily unavailable. Please try again later.`, errorDetails)
+  }
+
+  return new ServiceError(detail || `API request failed with status ${status}`, errorDetails)
+}
@@ -0,0 +1,227 @@
+/**
+ * Flow Projects
+ * Stores the projects of the workspace in IndexedDB: a small record per project for the
+ * project list, and its flow (which may hold base64 images) in a separate store
+ */
+
+import { isIndexedDbAvailable, openDatabase, runTransaction } from '@/lib/idb'
+
+const DB_NAME = 'flora-projects'
+const DB_VERSION = 1
+const PROJECTS_STORE = 'projects'
+const FLOWS_STORE = 'flows'
+
+const DEFAULT_PROJECT_NAME = 'Untitled project'
+
+/**
+ * Project record
+ * @typedef {Object} Project
+ * @property {string} id - Project ID (used in the /flow/:id route)
+ * @property {string} name - Project name
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp of the last save
+ * @property {number} nodeCount - Number of nodes in the flow
+ * @property {string|null} thumbnail - Image URL of the flow layout (see createFlowThumbnail)
+ */
+
+class FlowProjects {
+  constructor() {
+    this.dbPromise = null
+  }
+
+  /**
+   * Open the database once and reuse the connection
+   * @returns {Promise<IDBDatabase>}
+   * @private
+   */
+  _open() {
+    if (!isIndexedDbAvailable()) {
+      return Promise.reject(new Error('IndexedDB is not available'))
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        db.createObjectStore(PROJECTS_STORE, { keyPath: 'id' })
+        db.createObjectStore(FLOWS_STORE)
+      }).catch((error) => {
+        this.dbPromise = null
+        throw error
+      })
+    }
+
+    return this.dbPromise
+  }
+
+  /**
+   * Generate a project ID
+   * @returns {string}
+   * @private
+   */
+  _createId() {
+    return `project_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`
+  }
+
+  /**
+   * Write a project record
+   * @param {Project} project
+   * @returns {Promise<Project>}
+   * @private
+   */
+  async _put(project) {
+    const db = await this._open()
+    await runTransaction(db, PROJECTS_STORE, 'readwrite', store => store.put(project))
+    return project
+  }
+
+  /**
+   * List the projects, most recently edited first
+   * @returns {Promise<Array<Project>>}
+   */
+  async list() {
+    const db = await this._open()
+    const projects = await runTransaction(db, PROJECTS_STORE, 'readonly', store => store.getAll())
+    return projects.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+  }
+
+  /**
+   * Get a project record
+   * @param {string} id
+   * @returns {Promise<Project|null>}
+   */
+  async get(id) {
+    const db = await this._open()
+    const project = await runTransaction(db, PROJECTS_STORE, 'readonly', store => store.get(id))
+    return project ?? null
+  }
+
+  /**
+   * Get the flow of a project
+   * @param {string} id
+   * @returns {Promise<Object|null>} Flow data in the export format, null for a project that was never saved
+   */
+  async loadFlow(id) {
+    const db = await this._open()
+    const flow = await runTransaction(db, FLOWS_STORE, 'readonly', store => store.get(id))
+    return flow ?? null
+  }
+
+  /**
+   * Create a project
+   * @param {Object} [options]
+   * @param {string} [options.name] - Project name (default: "Untitled project")
+   * @param {Object} [options.flow] - Initial flow in the export format
+   * @param {string|null} [options.thumbnail] - Thumbnail of the initial flow
+   * @returns {Promise<Project>}
+   */
+  async create({ name, flow = null, thumbnail = null } = {}) {
+    const db = await this._open()
+    const now = new Date().toISOString()
+    const project = {
+      id: this._createId(),
+      name: name?.trim() || DEFAULT_PROJECT_NAME,
+      createdAt: now,
+      updatedAt: now,
+      nodeCount: flow?.nodes?.length ?? 0,
+      thumbnail
+    }
+
+    await runTransaction(db, [PROJECTS_STORE, FLOWS_STORE], 'readwrite', (projects, flows) => {
+      projects.put(project)
+      if (flow) flows.put(flow, project.id)
+    })
+
+    return project
+  }
+
+  /**
+   * Save the flow of a project
+   * @param {string} id
+   * @param {Object} flow - Flow data in the export format (must be structured-cloneable)
+   * @param {string|null} [thumbnail] - Thumbnail of the flow
+   * @returns {Promise<Project>} Updated project
+   * @throws {Error} If the project doesn't exist (e.g. deleted in another tab)
+   */
+  async saveFlow(id, flow, thumbnail = null) {
+    const project = await this.get(id)
+    if (!project) {
+      throw new Error('Project not found')
+    }
+
+    const db = await this._open()
+    const updated = {
+      ...project,
+      updatedAt: new Date().toISOString(),
+      nodeCount: flow.nodes.length,
+      thumbnail
+    }
+
+    await runTransaction(db, [PROJECTS_STORE, FLOWS_STORE], 'readwrite', (projects, flows) => {
+      projects.put(updated)
+      flows.put(flow, id)
+    })
+
+    return updated
+  }
+
+  /**
+   * Rename a project
+   * @param {string} id
+   * @param {string} name - New name (blank names are ignored)
+   * @returns {Promise<Project>} Updated project
+   */
+  async rename(id, name) {
+    const project = await this.get(id)
+    if (!project) {
+      throw new Error('Project not found')
+    }
+
+    const trimmed = name?.trim()
+    if (!trimmed || trimmed === project.name) return project
+
+    return this._put({ ...project, name: trimmed, updatedAt: new Date().toISOString() })
+  }
+
+  /**
+   * Duplicate a project and its flow
+   * @param {string} id
+   * @returns {Promise<Project>} New project
+   */
+  async duplicate(id) {
+    const [project, flow] = await Promise.all([this.get(id), this.loadFlow(id)])
+    if (!project) {
+      throw new Error('Project not found')
+    }
+
+    // Running predictions stay with the original project (see importFlow)
+    const copy = flow && {
+      ...flow,
+      nodes: flow.nodes.map(({ data, ...node }) => {
+        const { pendingPrediction, ...rest } = data || {}
+        return { ...node, data: rest }
+      })
+    }
+
+    return this.create({ name: `${project.name} (copy)`, flow: copy, thumbnail: project.thumbnail })
+  }
+
+  /**
+   * Delete a project and its flow
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    const db = await this._open()
+    await runTransaction(db, [PROJECTS_STORE, FLOWS_STORE], 'readwrite', (projects, flows) => {
+      projects.delete(id)
+      flows.delete(id)
+    })
+  }
+}
+
+// Create and export singleton instance
+const flowProjects = new FlowProjects()
+
+export default flowProjects
+
+// Export class for testing
+export { FlowProjects }
@@ -0,0 +1,370 @@
+/**
+ * Mock Provider
+ * Offline stand-in for Replicate: draws deterministic images on a canvas, writes fake text
+ * and simulates prediction polling, so the app can be demoed and tested without network
+ *
+ * Failures can be triggered from the prompt:
+ * - "[fail]"       → ModelError (prediction failed, with logs)
+ * - "[timeout]"    → TimeoutError
+ * - "[rate-limit]" → RateLimitError
+ * - "[auth]"       → AuthError
+ */
+
+import { hashString, stableStringify } from '@/lib/staleness'
+import { ModelError, TimeoutError, RateLimitError, AuthError, CanceledError } from './errors'
+
+const DEFAULT_OPTIONS = {
+  steps: 8, // Simulated inference steps (one progress report each)
+  stepDelay: 250, // ms per step
+  failureRate: 0 // Chance (0-1) of a random ModelError, on top of prompt triggers
+}
+
+const BASE_SIZE = 512
+
+const TEXT_OPENERS = [
+  'Here is a take on',
+  'A short exploration of',
+  'Thinking about',
+  'Some notes on',
+  'A quick answer about'
+]
+
+const TEXT_FILLERS = [
+  'The key idea is to keep things simple and focus on what matters most.',
+  'Consider the context first, then the details will follow naturally.',
+  'There are several angles worth looking at before drawing conclusions.',
+  'A good starting point is to describe the scene, the mood and the light.',
+  'Small changes in wording can lead to very different results.',
+  'It helps to compare a few variations side by side.',
+  'The composition should guide the eye towards the main subject.',
+  'Colors and textures carry as much meaning as the subject itself.'
+]
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {string} seedText - Any text; equal texts give equal sequences
+ * @returns {Function} Returns floats in [0, 1)
+ */
+function createRandom(seedText) {
+  let seed = parseInt(hashString(seedText).slice(-8), 16) || 1
+
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Resolve the canvas size from an aspect ratio ("16:9", "1:1", ...) or size ("1536x1024") param
+ * @param {string} [aspectRatio]
+ * @returns {Object} { width, height }
+ */
+function getCanvasSize(aspectRatio) {
+  const match = /^(\d+(?:\.\d+)?)[:x](\d+(?:\.\d+)?)$/.exec(aspectRatio || '')
+  if (!match) return { width: BASE_SIZE, height: BASE_SIZE }
+
+  const ratio = Number(match[1]) / Number(match[2])
+  return ratio >= 1
+    ? { width: BASE_SIZE, height: Math.round(BASE_SIZE / ratio) }
+    : { width: Math.round(BASE_SIZE * ratio), height: BASE_SIZE }
+}
+
+/**
+ * Load an image source into an HTMLImageElement
+ * @param {string} src
+ * @returns {Promise<HTMLImageElement|null>} null if it cannot be loaded (e.g. offline URL)
+ */
+function loadImage(src) {
+  return new Promise((resolve) => {
+    const image = new Image()
+    image.crossOrigin = 'anonymous'
+    image.onload = () => resolve(image)
+    image.onerror = () => resolve(null)
+    image.src = src
+  })
+}
+
+/**
+ * Split text into lines that fit a width
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {number} maxWidth
+ * @returns {Array<string>}
+ */
+function wrapText(ctx, text, maxWidth) {
+  const lines = []
+  let line = ''
+
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word
+    if (ctx.measureText(candidate).width > maxWidth && line) {
+      lines.push(line)
+      line = word
+    } else {
+      line = candidate
+    }
+  })
+
+  if (line) lines.push(line)
+  return lines
+}
+
+class MockProvider {
+  /**
+   * @param {Object} [options] - See DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options }
+  }
+
+  /**
+   * Generate mock images
+   * @param {Object} request
+   * @param {Object} request.model - Model configuration
+   * @param {Object} request.input - Built API input payload (prompt, image inputs, params)
+   * @param {Array<string>} [request.imageInput] - Input image sources
+   * @param {AbortSignal} [request.signal]
+   * @param {Function} [request.onProgress]
+   * @returns {Promise<Object>} Same shape as the models' parseResponse for images
+   */
+  async generateImage({ model, input, imageInput = [], signal = null, onProgress = () => {} }) {
+    const prompt = input.prompt || input.text_prompt || ''
+    const id = this._createId(model, input)
+
+    await this._simulatePrediction(id, prompt, signal, onProgress)
+
+    const count = Math.max(1, Number(input.number_of_images || input.n) ||
+      (input.sequential_image_generation === 'auto' ? Number(input.max_images) : 1) || 1)
+
+    const thumbnails = (await Promise.all(imageInput.slice(0, 4).map(loadImage))).filter(Boolean)
+    const imageUrls = []
+    for (let index = 0; index < count; index++) {
+      imageUrls.push(this._drawImage({ model, input, prompt, thumbnails, variant: index }))
+    }
+
+    return {
+      imageUrl: imageUrls[0],
+      imageUrls,
+      id,
+      status: 'succeeded',
+      model: model.id,
+      isMock: true
+    }
+  }
+
+  /**
+   * Generate mock text
+   * @param {Object} request
+   * @param {Object} request.model - Model configuration
+   * @param {Object} request.input - Built API input payload
+   * @param {AbortSignal} [request.signal]
+   * @param {Function} [request.onProgress]
+   * @param {Function} [request.onStream] - Called with (chunk, textSoFar) word by word
+   * @returns {Promise<Object>} Same shape as the models' parseResponse for text
+   */
+  async generateText({ model, input, signal = null, onProgress = () => {}, onStream = null }) {
+    const prompt = input.prompt || ''
+    const id = this._createId(model, input)
+    const text = this._writeText(model, input)
+
+    if (!onStream) {
+      await this._simulatePrediction(id, prompt, signal, onProgress)
+      return { text, id, status: 'succeeded', model: model.id, isMock: true }
+    }
+
+    // Streaming: fail/cancel checks first, then emit word by word
+    await this._simulatePrediction(id, prompt, signal, onProgress, 2)
+
+    let streamed = ''
+    for (const chunk of text.match(/\S+\s*/g) || []) {
+      await this._delay(this.options.stepDelay / 5, signal)
+      streamed += chunk
+      onStream(chunk, streamed)
+    }
+
+    return { text, id, status: 'succeeded', model: model.id, isMock: true }
+  }
+
+  /**
+   * Deterministic prediction id for a request
+   * @private
+   */
+  _createId(model, input) {
+    return `mock_${hashString(stableStringify({ model: model.id, input }))}`
+  }
+
+  /**
+   * Walk through starting → processing steps, reporting progress, and fail when asked to
+   * @private
+   */
+  async _simulatePrediction(id, prompt, signal, onProgress, steps = this.options.steps) {
+    const startedAt = Date.now()
+    const logs = []
+    const report = (status, percent) => onProgress({
+      status,
+      elapsed: Date.now() - startedAt,
+      percent,
+      logs: logs.slice(-6).join('\n'),
+      predictionId: id
+    })
+
+    report('starting', null)
+    await this._delay(this.options.stepDelay, signal)
+
+    if (prompt.includes('[auth]')) {
+      throw new AuthError(undefined, { status: 401, detail: 'Mock: invalid token' })
+    }
+    if (prompt.includes('[rate-limit]')) {
+      throw new RateLimitError(undefined, { status: 429, detail: 'Mock: too many requests' })
+    }
+
+    const failAt = prompt.includes('[fail]') || Math.random() < this.options.failureRate
+      ? Math.ceil(steps / 2)
+      : null
+
+    for (let step = 1; step <= steps; step++) {
+      logs.push(`Mock inference step ${step}/${steps}`)
+      report('processing', Math.round((step / steps) * 100))
+
+      if (step === failAt) {
+        logs.push('Error: mock model crashed (triggered by "[fail]" or the failure rate)')
+        throw new ModelError('Mock prediction failed', { predictionId: id, logs: logs.join('\n') })
+      }
+
+      await this._delay(this.options.stepDelay, signal)
+    }
+
+    if (prompt.includes('[timeout]')) {
+      throw new TimeoutError('Prediction did not finish within 3 minutes.', { predictionId: id, logs: logs.join('\n') })
+    }
+  }
+
+  /**
+   * Draw one deterministic image
+   * @private
+   */
+  _drawImage({ model, input, prompt, thumbnails, variant }) {
+    const random = createRandom(`${model.id}|${stableStringify(input)}|${variant}`)
+    const { width, height } = getCanvasSize(input.aspect_ratio || input.size)
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    const ctx = canvas.getContext('2d')
+
+    // Background gradient
+    const hue = Math.floor(random() * 360)
+    const gradient = ctx.createLinearGradient(0, 0, width, height)
+    gradient.addColorStop(0, `hsl(${hue}, 60%, 35%)`)
+    gradient.addColorStop(1, `hsl(${(hue + 60 + random() * 120) % 360}, 65%, 20%)`)
+    ctx.fillStyle = gradient
+    ctx.fillRect(0, 0, width, height)
+
+    // Shapes
+    for (let i = 0; i < 12; i++) {
+      ctx.beginPath()
+      ctx.arc(random() * width, random() * height, 10 + random() * width / 5, 0, Math.PI * 2)
+      ctx.fillStyle = `hsla(${(hue + random() * 180) % 360}, 70%, 60%, ${0.08 + random() * 0.2})`
+      ctx.fill()
+    }
+
+    const padding = 24
+    ctx.textBaseline = 'top'
+
+    // Header
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.7)'
+    ctx.font = 'bold 14px monospace'
+    ctx.fillText(`MOCK · ${model.id}${variant > 0 ? ` · #${variant + 1}` : ''}`, padding, padding)
+
+    // Prompt
+    ctx.fillStyle = '#ffffff'
+    ctx.font = 'bold 22px sans-serif'
+    const lines = wrapText(ctx, prompt || '(no prompt)', width - padding * 2).slice(0, 6)
+    lines.forEach((line, index) => ctx.fillText(line, padding, padding + 32 + index * 28))
+
+    // Input thumbnails
+    const thumbSize = Math.min(72, (width - padding * 2) / 4 - 8)
+    thumbnails.forEach((image, index) => {
+      const x = padding + index * (thumbSize + 8)
+      const y = height - padding - thumbSize - 48
+      ctx.drawImage(image, x, y, thumbSize, thumbSize)
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)'
+      ctx.strokeRect(x, y, thumbSize, thumbSize)
+    })
+
+    // Params
+    const params = Object.entries(input)
+      .filter(([key, value]) => !['prompt', 'text_prompt', 'image', 'image_input'].includes(key) && value !== undefined && value !== null)
+      .map(([key, value]) => `${key}=${value}`)
+      .join('  ')
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.75)'
+    ctx.font = '12px monospace'
+    wrapText(ctx, params, width - padding * 2).slice(-2).forEach((line, index, all) => {
+      ctx.fillText(line, padding, height - padding - (all.length - index) * 16)
+    })
+
+    return canvas.toDataURL('image/png')
+  }
+
+  /**
+   * Write deterministic fake text, longer for higher verbosity
+   * @private
+   */
+  _writeText(model, input) {
+    const random = createRandom(`${model.id}|${stableStringify(input)}`)
+    const pick = (list) => list[Math.floor(random() * list.length)]
+    const prompt = (input.prompt || '').trim()
+    const excerpt = prompt.length > 80 ? `${prompt.slice(0, 80)}...` : prompt
+    const paragraphs = { low: 1, medium: 2, high: 3 }[input.verbosity] || 2
+
+    // Seeded shuffle so sentences don't repeat
+    const fillers = [...TEXT_FILLERS].sort(() => random() - 0.5)
+
+    const text = []
+    text.push(`${pick(TEXT_OPENERS)} "${excerpt}" (mock ${model.id} output).`)
+
+    for (let i = 0; i < paragraphs; i++) {
+      text.push(fillers.slice(i * 2, i * 2 + 3).join(' '))
+    }
+
+    if (input.image_input?.length) {
+      text.push(`This answer pretends to take ${input.image_input.length} input image(s) into account.`)
+    }
+
+    return text.join('\n\n')
+  }
+
+  /**
+   * Wait, rejecting with CanceledError if the signal aborts
+   * @private
+   */
+  _delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new CanceledError())
+        return
+      }
+
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', handleAbort)
+        resolve()
+      }, ms)
+
+      const handleAbort = () => {
+        clearTimeout(timeoutId)
+        reject(new CanceledError())
+      }
+
+      signal?.addEventListener('abort', handleAbort, { once: true })
+    })
+  }
+}
+
+// Create and export singleton instance
+const mockProvider = new MockProvider()
+
+export default mockProvider
+
+// Export class for testing
+export { MockProvider }
@@ -3,21 +3,33 @@
  * Model: openai/gpt-5
  */
 
+import { createModelSchema } from '@/lib/openapi-schema'
+import INPUT_SCHEMA from './schemas/gpt-5.json'
+
+/**
+ * Parameters generated from the model's OpenAPI input schema
+ */
+const schema = createModelSchema(INPUT_SCHEMA, {
+  exclude: ['prompt', 'messages', 'image_input'], // Filled from the node's inputs
+  overrides: {
+    max_completion_tokens: { title: 'Max Tokens' }
+  }
+})
+
 export const GPT_5 = {
   id: 'gpt-5',
   name: 'GPT-5',
   owner: 'openai',
   version: 'latest',
   category: 'text', // Model category: text generation
+  provider: 'replicate', // Runs on Replicate (see replicate.js)
   endpointPath: '/v1/models/openai/gpt-5/predictions',
+  supportsStreaming: true, // Output can be read token by token from urls.stream
 
   /**
    * Default parameters for the model
    */
-  defaults: {
-    reasoning_effort: 'minimal',
-    verbosity: 'medium'
-  },
+  defaults: schema.defaults,
 
   /**
    * UI Schema - defines controls for the navbar
@@ -26,38 +38,7 @@ export const GPT_5 = {
   uiSchema: {
     id: 'gpt-5',
     label: 'GPT-5',
-    controls: [
-      {
-        key: 'reasoning_effort',
-        label: 'Reasoning Effort',
-        type: 'select',
-        enum: ['minimal', 'low', 'medium', 'high'],
-        default: 'minimal'
-      },
-      {
-        key: 'verbosity',
-        label: 'Verbosity',
-        type: 'select',
-        enum: ['low', 'medium', 'high'],
-        default: 'medium'
-      },
-      {
-        key: 'max_completion_tokens',
-        label: 'Max Tokens',
-        type: 'number',
-        min: 1,
-        max: 100000,
-        default: null
-      }
-    ]
-  },
-
-  /**
-   * Valid values for each parameter
-   */
-  validValues: {
-    reasoning_effort: ['minimal', 'low', 'medium', 'high'],
-    verbosity: ['low', 'medium', 'high']
+    controls: schema.controls
   },
 
   /**
@@ -105,30 +86,7 @@ export const GPT_5 = {
    * @returns {Object} Validated parameters
    */
   validateParams(params = {}) {
-    const validated = {}
-
-    if (params.reasoning_effort && !this.validValues.reasoning_effort.includes(params.reasoning_effort)) {
-      throw new Error(`Invalid reasoning_effort. Must be one of: ${this.validValues.reasoning_effort.join(', ')}`)
-    }
-
-    if (params.verbosity && !this.validValues.verbosity.includes(params.verbosity)) {
-      throw new Error(`Invalid verbosity. Must be one of: ${this.validValues.verbosity.join(', ')}`)
-    }
-
-    if (params.max_completion_tokens !== undefined) {
-      const tokens = parseInt(params.max_completion_tokens)
-      if (isNaN(tokens) || tokens < 1) {
-        throw new Error('max_completion_tokens must be a positive integer')
-      }
-      validated.max_completion_tokens = tokens
-    }
-
-    return {
-      reasoning_effort: params.reasoning_effort,
-      verbosity: params.verbosity,
-      max_completion_tokens: validated.max_completion_tokens,
-      system_prompt: params.system_prompt
-    }
+    return schema.validateParams(params)
   },
 
   /**
@@ -0,0 +1,139 @@
+/**
+ * OpenAI GPT IMAGE 1 Model Configuration (OpenAI direct)
+ * Model: gpt-image-1, called directly on the OpenAI Images API
+ * (the OpenAI key from Settings is sent to OpenAI only, never to Replicate).
+ * The Replicate-hosted model is gpt-image-1.js
+ */
+
+import { createModelSchema } from '@/lib/openapi-schema'
+import INPUT_SCHEMA from './schemas/gpt-image-1.json'
+
+/**
+ * Output sizes for each aspect ratio
+ */
+const SIZES = {
+  '1:1': '1024x1024',
+  '3:2': '1536x1024',
+  '2:3': '1024x1536'
+}
+
+/**
+ * Parameters generated from the openai/gpt-image-1 input schema published on Replicate,
+ * which uses the same parameter names; buildInput maps them to the Images API
+ */
+const schema = createModelSchema(INPUT_SCHEMA, {
+  exclude: ['prompt', 'openai_api_key', 'input_images'], // Key from Settings, images from the node's inputs
+  hidden: ['output_compression', 'moderation', 'user_id'],
+  overrides: {
+    number_of_images: { title: 'Images' }
+  }
+})
+
+export const GPT_IMAGE_1_OPENAI = {
+  id: 'gpt-image-1-openai',
+  name: 'GPT Image 1 (OpenAI direct)',
+  owner: 'openai',
+  version: 'latest',
+  category: 'image', // Model category: image generation
+  provider: 'openai', // Runs on the OpenAI-compatible provider (see providers/openai.js)
+
+  /**
+   * Default parameters for the model
+   */
+  defaults: schema.defaults,
+
+  /**
+   * UI Schema - defines controls for the navbar
+   * Used to dynamically render UI controls for model parameters
+   */
+  uiSchema: {
+    id: 'gpt-image-1-openai',
+    label: 'GPT Image 1 (OpenAI direct)',
+    controls: schema.controls
+  },
+
+  /**
+   * Build input payload for the API
+   * @param {Object} options
+   * @param {string} options.prompt - Text description
+   * @param {Array<string>} [options.imageInput] - Input images
+   * @param {Object} [options.params] - Additional parameters
+   * @returns {Object} API input payload
+   */
+  buildInput(options) {
+    const { prompt, imageInput = [], params = {} } = options
+
+    if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
+      throw new Error('Prompt is required and must be a non-empty string')
+    }
+
+    const outputFormat = params.output_format || this.defaults.output_format
+
+    const input = {
+      model: 'gpt-image-1',
+      prompt: prompt.trim(),
+      size: SIZES[params.aspect_ratio || this.defaults.aspect_ratio],
+      n: params.number_of_images || this.defaults.number_of_images,
+      quality: params.quality || this.defaults.quality,
+      background: params.background || this.defaults.background,
+      output_format: outputFormat
+    }
+
+    // Compression only applies to lossy formats
+    if (outputFormat !== 'png') {
+      input.output_compression = params.output_compression || this.defaults.output_compression
+    }
+
+    // Input images switch to the edits endpoint, which takes input_fidelity but not moderation
+    if (imageInput.length > 0) {
+      input.image = imageInput
+      input.input_fidelity = params.input_fidelity || this.defaults.input_fidelity
+    } else {
+      input.moderation = params.moderation || this.defaults.moderation
+    }
+
+    // Add optional end-user identifier if provided
+    if (params.user_id) {
+      input.user = params.user_id
+    }
+
+    return input
+  },
+
+  /**
+   * Validate and sanitize parameters
+   * @param {Object} params
+   * @returns {Object} Validated parameters
+   */
+  validateParams(params = {}) {
+    return schema.validateParams(params)
+  },
+
+  /**
+   * Parse response from API
+   * @param {Object} response - API response
+   * @returns {Object} Parsed result
+   */
+  parseResponse(response) {
+    if (!response.output) {
+      throw new Error('No output in response')
+    }
+
+    // Output is an array of image data URLs
+    const imageUrls = Array.isArray(response.output)
+      ? response.output
+      : [response.output]
+
+    // Return the first image URL (for compatibility with existing code)
+    // But also include all URLs in the response
+    return {
+      imageUrl: imageUrls[0],
+      imageUrls: imageUrls,
+      id: response.id,
+      status: response.status,
+      model: this.id
+    }
+  }
+}
+
+export default GPT_IMAGE_1_OPENAI
@@ -10,6 +10,7 @@ export const LANG_SEGMENT_ANYTHING = {
   owner: 'tmappdev',
   version: '891411c38a6ed2d44c004b7b9e44217df7a5b07848f29ddefd2e28bc7cbf93bc',
   category: 'image', // Model category: image processing/generation
+  provider: 'replicate', // Runs on Replicate (see replicate.js)
   endpointPath: '/v1/predictions',
   useVersionInBody: true,  // Uses version in request body instead of path
 
@@ -98,6 +99,7 @@ export const LANG_SEGMENT_ANYTHING = {
 
     return {
       imageUrl,
+      imageUrls: [imageUrl],
       id: response.id,
       status: response.status,
       model: this.id
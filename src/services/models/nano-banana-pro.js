@@ -3,23 +3,33 @@
  * Model: google/nano-banana-pro
  */
 
+import { createModelSchema } from '@/lib/openapi-schema'
+import INPUT_SCHEMA from './schemas/nano-banana-pro.json'
+
+/**
+ * Parameters generated from the model's OpenAPI input schema
+ */
+const schema = createModelSchema(INPUT_SCHEMA, {
+  exclude: ['prompt', 'image_input'], // Filled from the node's inputs
+  hidden: ['safety_filter_level'],
+  overrides: {
+    output_format: { default: 'png' } // Lossless by default
+  }
+})
+
 export const NANO_BANANA_PRO = {
   id: 'nano-banana-pro',
   name: 'Nano Banana Pro',
   owner: 'google',
   version: 'latest',
   category: 'image', // Model category: image generation
+  provider: 'replicate', // Runs on Replicate (see replicate.js)
   endpointPath: '/v1/models/google/nano-banana-pro/predictions',
 
   /**
    * Default parameters for the model
    */
-  defaults: {
-    resolution: '2K',
-    aspect_ratio: 'match_input_image',
-    output_format: 'png',
-    safety_filter_level: 'block_only_high'
-  },
+  defaults: schema.defaults,
 
   /**
    * UI Schema - defines controls for the navbar
@@ -28,44 +38,7 @@ export const NANO_BANANA_PRO = {
   uiSchema: {
     id: 'nano-banana-pro',
     label: 'Nano Banana Pro',
-    controls: [
-      {
-        key: 'aspect_ratio',
-        label: 'Aspect Ratio',
-        type: 'select',
-        enum: [
-          'match_input_image',
-          '1:1', '2:3', '3:2', '3:4', '4:3',
-          '4:5', '5:4', '9:16', '16:9', '21:9'
-        ],
-        default: 'match_input_image'
-      },
-      {
-        key: 'resolution',
-        label: 'Resolution',
-        type: 'select',
-        enum: ['1K', '2K', '4K'],
-        default: '2K'
-      }
-    ]
-  },
-
-  /**
-   * Valid values for each parameter
-   */
-  validValues: {
-    resolution: ['1K', '2K', '4K'],
-    aspect_ratio: [
-      'match_input_image',
-      '1:1', '2:3', '3:2', '3:4', '4:3',
-      '4:5', '5:4', '9:16', '16:9', '21:9'
-    ],
-    output_format: ['jpg', 'png'],
-    safety_filter_level: [
-      'block_low_and_above',
-      'block_medium_and_above',
-      'block_only_high'
-    ]
+    controls: schema.controls
   },
 
   /**
@@ -103,30 +76,7 @@ export const NANO_BANANA_PRO = {
    * @returns {Object} Validated parameters
    */
   validateParams(params = {}) {
-    const validated = {}
-
-    if (params.resolution && !this.validValues.resolution.includes(params.resolution)) {
-      throw new Error(`Invalid resolution. Must be one of: ${this.validValues.resolution.join(', ')}`)
-    }
-
-    if (params.aspect_ratio && !this.validValues.aspect_ratio.includes(params.aspect_ratio)) {
-      throw new Error(`Invalid aspect_ratio. Must be one of: ${this.validValues.aspect_ratio.join(', ')}`)
-    }
-
-    if (params.output_format && !this.validValues.output_format.includes(params.output_format)) {
-      throw new Error(`Invalid output_format. Must be one of: ${this.validValues.output_format.join(', ')}`)
-    }
-
-    if (params.safety_filter_level && !this.validValues.safety_filter_level.includes(params.safety_filter_level)) {
-      throw new Error(`Invalid safety_filter_level. Must be one of: ${this.validValues.safety_filter_level.join(', ')}`)
-    }
-
-    return {
-      resolution: params.resolution,
-      aspect_ratio: params.aspect_ratio,
-      output_format: params.output_format,
-      safety_filter_level: params.safety_filter_level
-    }
+    return schema.validateParams(params)
   },
 
   /**
@@ -140,12 +90,13 @@ export const NANO_BANANA_PRO = {
     }
 
     // The output is typically an array with the image URL
-    const imageUrl = Array.isArray(response.output)
-      ? response.output[0]
-      : response.output
+    const imageUrls = Array.isArray(response.output)
+      ? response.output
+      : [response.output]
 
     return {
-      imageUrl,
+      imageUrl: imageUrls[0],
+      imageUrls,
       id: response.id,
       status: response.status,
       model: this.id
@@ -3,26 +3,33 @@
  * Model: bytedance/seedream-4
  */
 
+import { createModelSchema } from '@/lib/openapi-schema'
+import INPUT_SCHEMA from './schemas/seedream-4.json'
+
+/**
+ * Parameters generated from the model's OpenAPI input schema
+ */
+const schema = createModelSchema(INPUT_SCHEMA, {
+  exclude: ['prompt', 'image_input'], // Filled from the node's inputs
+  hidden: ['width', 'height'], // Only used with size 'custom'
+  overrides: {
+    sequential_image_generation: { title: 'Multiple Images' }
+  }
+})
+
 export const SEEDREAM_4 = {
   id: 'seedream-4',
   name: 'SeeDream-4',
   owner: 'bytedance',
   version: 'latest',
   category: 'image', // Model category: image generation
+  provider: 'replicate', // Runs on Replicate (see replicate.js)
   endpointPath: '/v1/models/bytedance/seedream-4/predictions',
 
   /**
    * Default parameters for the model
    */
-  defaults: {
-    size: '2K',
-    aspect_ratio: 'match_input_image',
-    width: 2048,
-    height: 2048,
-    enhance_prompt: true,
-    max_images: 1,
-    sequential_image_generation: 'disabled'
-  },
+  defaults: schema.defaults,
 
   /**
    * UI Schema - defines controls for the navbar
@@ -31,45 +38,7 @@ export const SEEDREAM_4 = {
   uiSchema: {
     id: 'seedream-4',
     label: 'SeeDream-4',
-    controls: [
-      {
-        key: 'size',
-        label: 'Size',
-        type: 'select',
-        enum: ['1K', '2K', '4K', 'custom'],
-        default: '2K'
-      },
-      {
-        key: 'aspect_ratio',
-        label: 'Aspect Ratio',
-        type: 'select',
-        enum: [
-          'match_input_image',
-          '1:1', '4:3', '3:4', '16:9', '9:16',
-          '3:2', '2:3', '21:9'
-        ],
-        default: 'match_input_image'
-      },
-      {
-        key: 'enhance_prompt',
-        label: 'Enhance Prompt',
-        type: 'checkbox',
-        default: true
-      }
-    ]
-  },
-
-  /**
-   * Valid values for each parameter
-   */
-  validValues: {
-    size: ['1K', '2K', '4K', 'custom'],
-    aspect_ratio: [
-      'match_input_image',
-      '1:1', '4:3', '3:4', '16:9', '9:16',
-      '3:2', '2:3', '21:9'
-    ],
-    sequential_image_generation: ['disabled', 'auto']
+    controls: schema.controls
   },
 
   /**
@@ -116,53 +85,7 @@ export const SEEDREAM_4 = {
    * @returns {Object} Validated parameters
    */
   validateParams(params = {}) {
-    const validated = {}
-
-    if (params.size && !this.validValues.size.includes(params.size)) {
-      throw new Error(`Invalid size. Must be one of: ${this.validValues.size.join(', ')}`)
-    }
-
-    if (params.aspect_ratio && !this.validValues.aspect_ratio.includes(params.aspect_ratio)) {
-      throw new Error(`Invalid aspect_ratio. Must be one of: ${this.validValues.aspect_ratio.join(', ')}`)
-    }
-
-    if (params.sequential_image_generation && !this.validValues.sequential_image_generation.includes(params.sequential_image_generation)) {
-      throw new Error(`Invalid sequential_image_generation. Must be one of: ${this.validValues.sequential_image_generation.join(', ')}`)
-    }
-
-    if (params.width !== undefined) {
-      const width = parseInt(params.width)
-      if (isNaN(width) || width < 1024 || width > 4096) {
-        throw new Error('Width must be between 1024 and 4096 pixels')
-      }
-      validated.width = width
-    }
-
-    if (params.height !== undefined) {
-      const height = parseInt(params.height)
-      if (isNaN(height) || height < 1024 || height > 4096) {
-        throw new Error('Height must be between 1024 and 4096 pixels')
-      }
-      validated.height = height
-    }
-
-    if (params.max_images !== undefined) {
-      const maxImages = parseInt(params.max_images)
-      if (isNaN(maxImages) || maxImages < 1 || maxImages > 15) {
-        throw new Error('max_images must be between 1 and 15')
-      }
-      validated.max_images = maxImages
-    }
-
-    return {
-      size: params.size,
-      aspect_ratio: params.aspect_ratio,
-      enhance_prompt: params.enhance_prompt,
-      width: validated.width,
-      height: validated.height,
-      max_images: validated.max_images,
-      sequential_image_generation: params.sequential_image_generation
-    }
+    return schema.validateParams(params)
   },
 
   /**
@@ -176,16 +99,16 @@ export const SEEDREAM_4 = {
     }
 
     // The output can be a single URL or an array of URLs
-    const imageUrl = Array.isArray(response.output)
-      ? response.output[0]
-      : response.output
+    const imageUrls = Array.isArray(response.output)
+      ? response.output
+      : [response.output]
 
     return {
-      imageUrl,
+      imageUrl: imageUrls[0],
+      imageUrls,
       id: response.id,
       status: response.status,
-      model: this.id,
-      allOutputs: Array.isArray(response.output) ? response.output : [response.output]
+      model: this.id
     }
   }
 }
@@ -0,0 +1,113 @@
+/**
+ * Stable Diffusion on Automatic1111 Model Configuration
+ * Runs whatever checkpoint is loaded in a self-hosted Automatic1111 or Forge web UI (started with --api),
+ * at the address set in Settings → Local Servers (see providers/http.js)
+ */
+
+import { createModelSchema } from '@/lib/openapi-schema'
+import INPUT_SCHEMA from './schemas/stable-diffusion-a1111.json'
+
+/**
+ * Parameters generated from the txt2img/img2img fields the model exposes
+ */
+const schema = createModelSchema(INPUT_SCHEMA, {
+  exclude: ['prompt', 'init_images'] // Filled from the node's inputs
+})
+
+export const STABLE_DIFFUSION_A1111 = {
+  id: 'stable-diffusion-a1111',
+  name: 'Stable Diffusion (Automatic1111)',
+  owner: 'local',
+  version: 'latest',
+  category: 'image', // Model category: image generation
+  provider: 'a1111', // Runs on the Automatic1111 provider (see providers/http.js)
+
+  /**
+   * Default parameters for the model
+   */
+  defaults: schema.defaults,
+
+  /**
+   * Seed input, set by the node's seed mode
+   */
+  seed: schema.seed,
+
+  /**
+   * UI Schema - defines controls for the navbar
+   * Used to dynamically render UI controls for model parameters
+   */
+  uiSchema: {
+    id: 'stable-diffusion-a1111',
+    label: 'Stable Diffusion (Automatic1111)',
+    controls: schema.controls
+  },
+
+  /**
+   * Build input payload for the API
+   * @param {Object} options
+   * @param {string} options.prompt - Text description
+   * @param {Array<string>} [options.imageInput] - Input images (data URLs or HTTP URLs), sent to img2img
+   * @param {Object} [options.params] - Additional parameters
+   * @returns {Object} API input payload
+   */
+  buildInput(options) {
+    const { prompt, imageInput = [], params = {} } = options
+
+    if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
+      throw new Error('Prompt is required and must be a non-empty string')
+    }
+
+    const input = {
+      prompt: prompt.trim(),
+      negative_prompt: params.negative_prompt ?? this.defaults.negative_prompt,
+      sampler_name: params.sampler_name || this.defaults.sampler_name,
+      steps: params.steps || this.defaults.steps,
+      cfg_scale: params.cfg_scale ?? this.defaults.cfg_scale,
+      width: params.width || this.defaults.width,
+      height: params.height || this.defaults.height,
+      batch_size: params.batch_size || this.defaults.batch_size,
+      seed: params.seed ?? -1 // -1: the server picks one
+    }
+
+    // Input images switch to img2img
+    if (imageInput.length > 0) {
+      input.init_images = imageInput
+      input.denoising_strength = params.denoising_strength ?? this.defaults.denoising_strength
+    }
+
+    return input
+  },
+
+  /**
+   * Validate and sanitize parameters
+   * @param {Object} params
+   * @returns {Object} Validated parameters
+   */
+  validateParams(params = {}) {
+    return schema.validateParams(params)
+  },
+
+  /**
+   * Parse response from API
+   * @param {Object} response - API response
+   * @returns {Object} Parsed result
+   */
+  parseResponse(response) {
+    if (!response.output || response.output.length === 0) {
+      throw new Error('No output in response')
+    }
+
+    // Output is an array of image data URLs
+    const imageUrls = response.output
+
+    return {
+      imageUrl: imageUrls[0],
+      imageUrls,
+      id: response.id,
+      status: response.status,
+      model: this.id
+    }
+  }
+}
+
+export default STABLE_DIFFUSION_A1111
@@ -0,0 +1,157 @@
+/**
+ * Stable Diffusion on ComfyUI Model Configuration
+ * Runs ComfyUI's default text-to-image workflow on a self-hosted server,
+ * at the address set in Settings → Local Servers (see providers/http.js)
+ */
+
+import { createModelSchema } from '@/lib/openapi-schema'
+import INPUT_SCHEMA from './schemas/stable-diffusion-comfyui.json'
+
+/**
+ * Parameters of the workflow's nodes
+ */
+const schema = createModelSchema(INPUT_SCHEMA, {
+  exclude: ['prompt'] // Filled from the node's inputs
+})
+
+/**
+ * Build the default workflow in API format (what "Save (API)" exports)
+ * checkpoint → prompts → sampler → VAE decode → saved image
+ * @param {Object} values - Prompt and parameter values
+ * @returns {Object} Workflow keyed by node id
+ */
+function buildWorkflow(values) {
+  return {
+    checkpoint: {
+      class_type: 'CheckpointLoaderSimple',
+      inputs: { ckpt_name: values.ckpt_name }
+    },
+    latent: {
+      class_type: 'EmptyLatentImage',
+      inputs: { width: values.width, height: values.height, batch_size: values.batch_size }
+    },
+    positive: {
+      class_type: 'CLIPTextEncode',
+      inputs: { text: values.prompt, clip: ['checkpoint', 1] }
+    },
+    negative: {
+      class_type: 'CLIPTextEncode',
+      inputs: { text: values.negative_prompt, clip: ['checkpoint', 1] }
+    },
+    sampler: {
+      class_type: 'KSampler',
+      inputs: {
+        seed: values.seed,
+        steps: values.steps,
+        cfg: values.cfg,
+        sampler_name: values.sampler_name,
+        scheduler: values.scheduler,
+        denoise: 1,
+        model: ['checkpoint', 0],
+        positive: ['positive', 0],
+        negative: ['negative', 0],
+        latent_image: ['latent', 0]
+      }
+    },
+    decode: {
+      class_type: 'VAEDecode',
+      inputs: { samples: ['sampler', 0], vae: ['checkpoint', 2] }
+    },
+    save: {
+      class_type: 'SaveImage',
+      inputs: { filename_prefix: 'OpenFlora', images: ['decode', 0] }
+    }
+  }
+}
+
+export const STABLE_DIFFUSION_COMFYUI = {
+  id: 'stable-diffusion-comfyui',
+  name: 'Stable Diffusion (ComfyUI)',
+  owner: 'local',
+  version: 'latest',
+  category: 'image', // Model category: image generation
+  provider: 'comfyui', // Runs on the ComfyUI provider (see providers/http.js)
+
+  /**
+   * Default parameters for the model
+   */
+  defaults: schema.defaults,
+
+  /**
+   * Seed input, set by the node's seed mode
+   */
+  seed: schema.seed,
+
+  /**
+   * UI Schema - defines controls for the navbar
+   * Used to dynamically render UI controls for model parameters
+   */
+  uiSchema: {
+    id: 'stable-diffusion-comfyui',
+    label: 'Stable Diffusion (ComfyUI)',
+    controls: schema.controls
+  },
+
+  /**
+   * Build input payload for the API
+   * @param {Object} options
+   * @param {string} options.prompt - Text description
+   * @param {Array<string>} [options.imageInput] - Not supported by the default workflow
+   * @param {Object} [options.params] - Additional parameters
+   * @returns {Object} API input payload ({ workflow })
+   */
+  buildInput(options) {
+    const { prompt, imageInput = [], params = {} } = options
+
+    if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
+      throw new Error('Prompt is required and must be a non-empty string')
+    }
+
+    if (imageInput.length > 0) {
+      throw new Error(`${this.name} only generates from text; disconnect the input images`)
+    }
+
+    return {
+      workflow: buildWorkflow({
+        ...this.defaults,
+        ...params,
+        prompt: prompt.trim(),
+        // The sampler needs a seed even when the node doesn't set one
+        seed: params.seed ?? Math.floor(Math.random() * (schema.seed.max + 1))
+      })
+    }
+  },
+
+  /**
+   * Validate and sanitize parameters
+   * @param {Object} params
+   * @returns {Object} Validated parameters
+   */
+  validateParams(params = {}) {
+    return schema.validateParams(params)
+  },
+
+  /**
+   * Parse response from API
+   * @param {Object} response - API response
+   * @returns {Object} Parsed result
+   */
+  parseResponse(response) {
+    if (!response.output || response.output.length === 0) {
+      throw new Error('No output in response')
+    }
+
+    // Output is an array of image URLs on the ComfyUI server (/view)
+    const imageUrls = response.output
+
+    return {
+      imageUrl: imageUrls[0],
+      imageUrls,
+      id: response.id,
+      status: response.status,
+      model: this.id
+    }
+  }
+}
+
+export default STABLE_DIFFUSION_COMFYUI
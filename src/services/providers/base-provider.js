@@ -0,0 +1,220 @@
+/**
+ * Base Provider
+ * Common interface and plumbing for generation backends
+ *
+ * A provider turns a model's built input into a finished prediction:
+ * - submit(model, input, options)     → prediction (may already be finished)
+ * - poll(model, prediction, options)  → finished prediction
+ * - cancel(model, prediction)         → stops a running prediction
+ * - parse(model, prediction)          → parsed result (model.parseResponse)
+ * - toPending / fromPending           → save a running prediction and poll it again after a reload (optional)
+ *
+ * Predictions use Replicate's shape whatever the backend: { id, status, output, error, logs },
+ * with status 'starting' | 'processing' | 'succeeded' | 'failed' | 'canceled',
+ * so every model's parseResponse reads the same fields.
+ */
+
+import { ModelError, NetworkError, CanceledError, ValidationError, createHttpError } from '../errors'
+
+const TERMINAL_STATUSES = ['succeeded', 'failed', 'canceled']
+
+/**
+ * Check if a prediction status is final
+ * @param {string} status - Prediction status
+ * @returns {boolean}
+ */
+export function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.includes(status)
+}
+
+class BaseProvider {
+  /**
+   * @param {string} id - Provider identifier, referenced by model configs (`provider`)
+   * @param {string} name - Display name, used in error messages
+   */
+  constructor(id, name) {
+    this.id = id
+    this.name = name
+  }
+
+  /**
+   * Check if the provider has what it needs to run real requests (e.g. credentials)
+   * @returns {boolean} False makes the service fall back to mock mode
+   */
+  isConfigured() {
+    return true
+  }
+
+  /**
+   * Start a prediction
+   * @param {Object} model - Model configuration
+   * @param {Object} input - Built input payload
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @param {Function} [options.onProgress] - Called with { status, elapsed, percent, logs, predictionId }
+   * @param {Function} [options.onStream] - Called with (chunk, textSoFar), for text models that can stream
+   * @param {number} [options.startedAt] - Timestamp the elapsed time is measured from
+   * @returns {Promise<Object>} Prediction
+   */
+  async submit() {
+    throw new Error(`${this.name} provider does not implement submit()`)
+  }
+
+  /**
+   * Wait for a prediction to finish
+   * @param {Object} model - Model configuration
+   * @param {Object} prediction - Prediction returned by submit()
+   * @param {Object} [options] - Same options as submit()
+   * @returns {Promise<Object>} Finished prediction
+   */
+  async poll(model, prediction) {
+    return prediction
+  }
+
+  /**
+   * Stop a running prediction (best effort, never throws)
+   * @param {Object} model - Model configuration
+   * @param {Object} prediction - Running prediction
+   * @returns {Promise<void>}
+   */
+  async cancel() {}
+
+  /**
+   * Describe a running prediction so it can be polled again after a reload
+   * @param {Object} model - Model configuration
+   * @param {Object} prediction - Running prediction returned by submit()
+   * @returns {Object|null} Serializable reference ({ id, ... }), null if the provider can't resume predictions
+   */
+  toPending() {
+    return null
+  }
+
+  /**
+   * Rebuild a running prediction from the reference returned by toPending(), to pass to poll()
+   * @param {Object} model - Model configuration
+   * @param {Object} pending - Saved reference
+   * @returns {Object} Prediction
+   */
+  fromPending() {
+    throw new ValidationError(`${this.name} provider cannot resume predictions`)
+  }
+
+  /**
+   * Turn a finished prediction into the model's result
+   * @param {Object} model - Model configuration
+   * @param {Object} prediction - Prediction with status 'succeeded'
+   * @returns {Object} Parsed result
+   */
+  parse(model, prediction) {
+    return model.parseResponse(prediction)
+  }
+
+  /**
+   * Wait for a promise unless the signal aborts first
+   * @param {Promise} promise - Promise to wait for
+   * @param {AbortSignal|null} signal - Abort signal
+   * @param {Function} [onAbort] - Called when the signal aborts before the promise settles
+   * @returns {Promise} Resolves like the promise, rejects with CanceledError on abort
+   * @protected
+   */
+  _waitOrAbort(promise, signal, onAbort = () => {}) {
+    if (!signal) return promise
+
+    return new Promise((resolve, reject) => {
+      const handleAbort = () => {
+        onAbort()
+        reject(new CanceledError())
+      }
+
+      if (signal.aborted) {
+        handleAbort()
+        return
+      }
+
+      signal.addEventListener('abort', handleAbort, { once: true })
+      promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', handleAbort))
+    })
+  }
+
+  /**
+   * Wait for a delay unless the signal aborts first
+   * @param {number} ms - Delay in ms
+   * @param {AbortSignal|null} signal - Abort signal
+   * @returns {Promise<void>}
+   * @protected
+   */
+  _delay(ms, signal) {
+    return this._waitOrAbort(new Promise(resolve => setTimeout(resolve, ms)), signal)
+  }
+
+  /**
+   * Fetch and fail with a typed error on network errors and error statuses
+   * @param {string} url - Request URL
+   * @param {Object} options - Fetch options
+   * @param {AbortSignal|null} [signal] - Aborts the request
+   * @returns {Promise<Response>} Successful response
+   * @throws {NetworkError|CanceledError|ServiceError}
+   * @protected
+   */
+  async _fetch(url, options, signal = null) {
+    let response
+    try {
+      response = await fetch(url, { ...options, signal })
+    } catch (error) {
+      if (error.name === 'AbortError') throw new CanceledError()
+      throw new NetworkError(`Could not reach ${this.name}. Check the server address and your connection.`, {
+        detail: error.message,
+        cause: error
+      })
+    }
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}))
+      throw createHttpError(response.status, body, { service: this.name })
+    }
+
+    return response
+  }
+
+  /**
+   * Send a JSON request and read the JSON response
+   * @param {string} url - Request URL
+   * @param {Object} [options] - Fetch options; a plain object body is sent as JSON
+   * @param {AbortSignal|null} [signal] - Aborts the request
+   * @returns {Promise<Object>} Parsed response body
+   * @protected
+   */
+  async _requestJson(url, options = {}, signal = null) {
+    const { body, headers = {}, ...rest } = options
+    const isJsonBody = body !== undefined && !(body instanceof FormData) && typeof body !== 'string'
+
+    const response = await this._fetch(url, {
+      ...rest,
+      headers: isJsonBody ? { 'Content-Type': 'application/json', ...headers } : headers,
+      body: isJsonBody ? JSON.stringify(body) : body
+    }, signal)
+
+    return response.json()
+  }
+
+  /**
+   * Build the error for a failed prediction
+   * @param {Object} prediction - Prediction with status 'failed'
+   * @returns {ModelError}
+   * @protected
+   */
+  _predictionError(prediction) {
+    const detail = typeof prediction.error === 'string' || prediction.error == null
+      ? prediction.error
+      : JSON.stringify(prediction.error)
+    return new ModelError(detail || 'Prediction failed', {
+      predictionId: prediction.id,
+      logs: prediction.logs,
+      detail
+    })
+  }
+}
+
+export { BaseProvider }
@@ -0,0 +1,330 @@
+/**
+ * Generic HTTP Provider
+ * Runs models on a self-hosted backend described by a backend definition:
+ * which request starts a generation, how to read the response, how to poll and how to stop it.
+ *
+ * Definitions for Automatic1111 (and Forge) and ComfyUI are built in. Models can override any
+ * field with `http`, and their server address with `baseUrl`; otherwise the address set in
+ * Settings → Local Servers is used, then the backend's default.
+ */
+
+import { useSettingsStore } from '@/stores/settings'
+import { BaseProvider } from './base-provider'
+import { ValidationError, TimeoutError, CanceledError } from '../errors'
+
+/**
+ * Backend definition
+ * @typedef {Object} HttpBackend
+ * @property {string} [baseUrl] - Default server address
+ * @property {Object} [headers] - Extra headers sent with every request (e.g. auth)
+ * @property {Function} submit - (input) => { path, method?, body } request that starts a generation
+ * @property {Function} toPrediction - (response, { baseUrl, input }) => prediction fields; status 'succeeded'
+ *   when the response already holds the output, 'starting' when the job has to be polled
+ * @property {Object} [poll] - { path(prediction), parse(response, prediction, { baseUrl }) } for queued jobs
+ * @property {Object} [progress] - { path, parse(response) } polled while a synchronous submit is pending
+ * @property {Function} [cancel] - (prediction) => Array<{ path, body? }> POST requests that stop a job
+ * @property {number} [pollInterval] - ms between polls
+ * @property {number} [maxWaitTime] - ms before giving up on a job
+ */
+
+const DEFAULT_BACKEND = {
+  headers: {},
+  pollInterval: 1000,
+  maxWaitTime: 600000 // 10 minutes, local GPUs can be slow
+}
+
+const COMFYUI_CLIENT_ID = 'openflora'
+
+/**
+ * Automatic1111 / Forge web UI API (started with --api)
+ * Inputs are the txt2img/img2img payloads; `init_images` switches to img2img
+ * @type {HttpBackend}
+ */
+export const A1111_BACKEND = {
+  baseUrl: 'http://127.0.0.1:7860',
+  submit: (input) => ({
+    path: input.init_images?.length ? '/sdapi/v1/img2img' : '/sdapi/v1/txt2img',
+    body: input
+  }),
+  toPrediction: (response) => ({
+    status: 'succeeded',
+    output: (response.images || []).map(image =>
+      image.startsWith('data:') ? image : `data:image/png;base64,${image}`
+    )
+  }),
+  progress: {
+    path: '/sdapi/v1/progress?skip_current_image=true',
+    parse: (response) => ({
+      percent: Math.round((response.progress || 0) * 100),
+      logs: response.state?.sampling_steps
+        ? `Step ${response.state.sampling_step}/${response.state.sampling_steps}`
+        : ''
+    })
+  },
+  cancel: () => [{ path: '/sdapi/v1/interrupt' }]
+}
+
+/**
+ * ComfyUI server API
+ * Inputs are { workflow } in API format (graph exported with "Save (API)")
+ * @type {HttpBackend}
+ */
+export const COMFYUI_BACKEND = {
+  baseUrl: 'http://127.0.0.1:8188',
+  submit: (input) => ({
+    path: '/prompt',
+    body: { prompt: input.workflow, client_id: COMFYUI_CLIENT_ID }
+  }),
+  toPrediction: (response) => ({ id: response.prompt_id, status: 'starting' }),
+  poll: {
+    path: (prediction) => `/history/${prediction.id}`,
+    parse: (response, prediction, { baseUrl }) => {
+      const entry = response[prediction.id]
+      // Not in the history yet: still queued or running
+      if (!entry) return { status: 'processing' }
+
+      const messages = entry.status?.messages || []
+      if (entry.status?.status_str === 'error') {
+        const [, error] = messages.find(([type]) => type === 'execution_error') || []
+        return {
+          status: 'failed',
+          error: error?.exception_message || 'Workflow failed',
+          logs: error?.traceback?.join('') || ''
+        }
+      }
+
+      if (!entry.status?.completed) return { status: 'processing' }
+
+      const images = Object.values(entry.outputs || {})
+        .flatMap(output => output.images || [])
+        .filter(image => image.type === 'output')
+
+      return {
+        status: 'succeeded',
+        output: images.map(image => `${baseUrl}/view?${new URLSearchParams({
+          filename: image.filename,
+          subfolder: image.subfolder || '',
+          type: image.type
+        })}`)
+      }
+    }
+  },
+  // /interrupt stops whatever is running, so only use it on a server you don't share
+  cancel: (prediction) => [
+    { path: '/queue', body: { delete: [prediction.id] } },
+    { path: '/interrupt' }
+  ]
+}
+
+class HttpProvider extends BaseProvider {
+  /**
+   * @param {string} id - Provider identifier
+   * @param {string} name - Display name
+   * @param {HttpBackend} [backend] - Built-in backend definition (models can override it)
+   */
+  constructor(id, name, backend = {}) {
+    super(id, name)
+    this.backend = backend
+  }
+
+  /**
+   * Get the backend definition for a model
+   * @param {Object} model - Model configuration
+   * @returns {HttpBackend}
+   */
+  getBackend(model) {
+    const backend = { ...DEFAULT_BACKEND, ...this.backend, ...(model.http || {}) }
+
+    if (typeof backend.submit !== 'function' || typeof backend.toPrediction !== 'function') {
+      throw new ValidationError(`Model "${model.id}" does not describe its ${this.name} requests (http.submit, http.toPrediction)`)
+    }
+
+    return backend
+  }
+
+  /**
+   * Get the server address for a model
+   * @param {Object} model - Model configuration
+   * @param {HttpBackend} backend - Backend definition
+   * @returns {string} Base URL without trailing slash
+   */
+  getBaseUrl(model, backend) {
+    const baseUrl = model.baseUrl || this._getServerUrl() || backend.baseUrl
+    if (!baseUrl) {
+      throw new ValidationError(`No server address configured for model "${model.id}"`)
+    }
+    return baseUrl.replace(/\/+$/, '')
+  }
+
+  /**
+   * Get the server address set in Settings for this provider
+   * @private
+   * @returns {string|null}
+   */
+  _getServerUrl() {
+    try {
+      return useSettingsStore().getServerUrl(this.id)
+    } catch (error) {
+      console.warn('Could not access settings store:', error)
+      return null
+    }
+  }
+
+  /**
+   * Send the request that starts a generation
+   * @param {Object} model - Model configuration
+   * @param {Object} input - Built input payload
+   * @param {Object} [options] - See BaseProvider.submit
+   * @returns {Promise<Object>} Prediction
+   */
+  async submit(model, input, options = {}) {
+    const { signal = null, onProgress = () => {}, startedAt = Date.now() } = options
+    const backend = this.getBackend(model)
+    const baseUrl = this.getBaseUrl(model, backend)
+    const { path, method = 'POST', body } = backend.submit(input)
+
+    onProgress({ status: 'starting', elapsed: Date.now() - startedAt, percent: null, logs: '', predictionId: null })
+
+    const request = this._requestJson(`${baseUrl}${path}`, { method, headers: backend.headers, body }, signal)
+    if (backend.progress) {
+      this._reportProgress(request, backend, baseUrl, signal, onProgress, startedAt)
+    }
+
+    let response
+    try {
+      response = await request
+    } catch (error) {
+      // Synchronous backends keep generating after the request is dropped
+      if (error instanceof CanceledError && backend.progress) {
+        this.cancel(model, { id: null })
+      }
+      throw error
+    }
+
+    const prediction = {
+      id: null,
+      status: 'succeeded',
+      output: null,
+      error: null,
+      logs: '',
+      ...backend.toPrediction(response, { baseUrl, input })
+    }
+    prediction.id = prediction.id || `${this.id}_${Date.now()}`
+
+    if (prediction.status === 'failed') {
+      throw this._predictionError(prediction)
+    }
+
+    return prediction
+  }
+
+  /**
+   * Poll a queued job until it finishes
+   * @param {Object} model - Model configuration
+   * @param {Object} prediction - Prediction returned by submit()
+   * @param {Object} [options] - See BaseProvider.submit
+   * @returns {Promise<Object>} Finished prediction
+   */
+  async poll(model, prediction, options = {}) {
+    const { signal = null, onProgress = () => {}, startedAt = Date.now() } = options
+    const backend = this.getBackend(model)
+    const baseUrl = this.getBaseUrl(model, backend)
+
+    if (!backend.poll) {
+      return prediction
+    }
+
+    const deadline = Date.now() + backend.maxWaitTime
+    let current = prediction
+
+    while (true) {
+      if (Date.now() > deadline) {
+        throw new TimeoutError(`${this.name} did not finish within ${Math.round(backend.maxWaitTime / 60000)} minutes.`, {
+          predictionId: current.id,
+          logs: current.logs
+        })
+      }
+
+      await this._delay(backend.pollInterval, signal)
+
+      const response = await this._requestJson(`${baseUrl}${backend.poll.path(current)}`, { headers: backend.headers }, signal)
+      current = { ...current, ...backend.poll.parse(response, current, { baseUrl }) }
+
+      onProgress({
+        status: current.status,
+        elapsed: Date.now() - startedAt,
+        percent: current.status === 'succeeded' ? 100 : current.percent ?? null,
+        logs: current.logs || '',
+        predictionId: current.id
+      })
+
+      if (current.status === 'succeeded') {
+        return current
+      }
+
+      if (current.status === 'failed') {
+        throw this._predictionError(current)
+      }
+
+      if (current.status === 'canceled') {
+        throw new CanceledError('Prediction was canceled', { predictionId: current.id })
+      }
+    }
+  }
+
+  /**
+   * Send the backend's cancel requests
+   * @param {Object} model - Model configuration
+   * @param {Object} prediction - Running prediction
+   * @returns {Promise<void>}
+   */
+  async cancel(model, prediction) {
+    try {
+      const backend = this.getBackend(model)
+      const baseUrl = this.getBaseUrl(model, backend)
+
+      for (const { path, body = {} } of backend.cancel?.(prediction) || []) {
+        await fetch(`${baseUrl}${path}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...backend.headers },
+          body: JSON.stringify(body)
+        })
+      }
+    } catch (error) {
+      console.warn(`Failed to cancel ${this.name} job:`, error)
+    }
+  }
+
+  /**
+   * Poll the progress endpoint while a synchronous request is pending
+   * Progress is best effort: failures are ignored
+   * @private
+   */
+  async _reportProgress(request, backend, baseUrl, signal, onProgress, startedAt) {
+    let pending = true
+    request.catch(() => {}).finally(() => { pending = false })
+
+    while (pending && !signal?.aborted) {
+      await new Promise(resolve => setTimeout(resolve, backend.pollInterval))
+      if (!pending) break
+
+      try {
+        const response = await this._requestJson(`${baseUrl}${backend.progress.path}`, { headers: backend.headers }, signal)
+        if (!pending) break
+
+        onProgress({
+          status: 'processing',
+          elapsed: Date.now() - startedAt,
+          percent: null,
+          logs: '',
+          predictionId: null,
+          ...backend.progress.parse(response)
+        })
+      } catch {
+        // Keep waiting for the main request
+      }
+    }
+  }
+}
+
+export { HttpProvider }
@@ -0,0 +1,199 @@
+/**
+ * OpenAI-compatible Provider
+ * Calls an OpenAI-style API directly instead of going through Replicate:
+ * - image models: /images/generations, or /images/edits when the input has images
+ * - text models: /chat/completions (streamed when asked to)
+ *
+ * Works with api.openai.com (using the OpenAI key from Settings) and with compatible
+ * servers (LocalAI, vLLM, Ollama, ...) when the model config sets `baseUrl`.
+ * The API answers synchronously, so submit() returns a finished prediction.
+ */
+
+import { useSettingsStore } from '@/stores/settings'
+import { parseServerSentEvents } from '@/lib/server-sent-events'
+import { BaseProvider } from './base-provider'
+import { AuthError, ModelError } from '../errors'
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1'
+
+/**
+ * Load an image source (data URL or HTTP URL) as a Blob for multipart uploads
+ * @param {string} src - Image source
+ * @returns {Promise<Blob>}
+ */
+async function toBlob(src) {
+  const response = await fetch(src)
+  if (!response.ok) {
+    throw new Error(`Failed to load input image: ${response.status}`)
+  }
+  return response.blob()
+}
+
+class OpenAIProvider extends BaseProvider {
+  constructor() {
+    super('openai', 'OpenAI')
+  }
+
+  /**
+   * Get the API base URL for a model
+   * @param {Object} model - Model configuration
+   * @returns {string} Base URL without trailing slash
+   */
+  getBaseUrl(model) {
+    return (model.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '')
+  }
+
+  /**
+   * Get the OpenAI API key from settings
+   * @returns {string|null}
+   */
+  getApiKey() {
+    try {
+      return useSettingsStore().getOpenaiApiKey()
+    } catch (error) {
+      console.warn('Could not access settings store:', error)
+      return null
+    }
+  }
+
+  /**
+   * Run the request; the response is already the finished prediction
+   * @param {Object} model - Model configuration
+   * @param {Object} input - Request body built by the model (images inputs under `image`)
+   * @param {Object} [options] - See BaseProvider.submit
+   * @returns {Promise<Object>} Finished prediction
+   */
+  async submit(model, input, options = {}) {
+    const { signal = null, onProgress = () => {}, onStream = null, startedAt = Date.now() } = options
+    const baseUrl = this.getBaseUrl(model)
+    const apiKey = this.getApiKey()
+
+    // Self-hosted compatible servers usually need no key
+    if (!apiKey && baseUrl === DEFAULT_BASE_URL) {
+      throw new AuthError('OpenAI API key is required. Please configure it in Settings.')
+    }
+
+    const headers = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}
+
+    onProgress({ status: 'processing', elapsed: Date.now() - startedAt, percent: null, logs: '', predictionId: null })
+
+    if (model.category === 'text') {
+      return onStream
+        ? this._streamChat(baseUrl, headers, input, signal, onStream)
+        : this._chat(baseUrl, headers, input, signal)
+    }
+
+    return this._generateImages(baseUrl, headers, input, signal)
+  }
+
+  /**
+   * Generate or edit images
+   * @private
+   */
+  async _generateImages(baseUrl, headers, input, signal) {
+    const { image: images = [], ...params } = input
+    let response
+
+    if (images.length > 0) {
+      const form = new FormData()
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+          form.append(key, String(value))
+        }
+      })
+
+      const blobs = await Promise.all(images.map(toBlob))
+      blobs.forEach((blob, index) => {
+        const extension = (blob.type.split('/')[1] || 'png').replace('jpeg', 'jpg')
+        form.append('image[]', blob, `input-${index + 1}.${extension}`)
+      })
+
+      response = await this._requestJson(`${baseUrl}/images/edits`, { method: 'POST', headers, body: form }, signal)
+    } else {
+      response = await this._requestJson(`${baseUrl}/images/generations`, { method: 'POST', headers, body: params }, signal)
+    }
+
+    const format = params.output_format || 'png'
+    const output = (response.data || []).map(item =>
+      item.b64_json ? `data:image/${format};base64,${item.b64_json}` : item.url
+    )
+
+    return {
+      id: `openai_${response.created || Date.now()}`,
+      status: 'succeeded',
+      output,
+      metrics: response.usage ? { usage: response.usage } : {}
+    }
+  }
+
+  /**
+   * Run a chat completion
+   * @private
+   */
+  async _chat(baseUrl, headers, input, signal) {
+    const response = await this._requestJson(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: { ...input, stream: false }
+    }, signal)
+
+    return {
+      id: response.id,
+      status: 'succeeded',
+      output: response.choices?.[0]?.message?.content ?? '',
+      metrics: response.usage ? { usage: response.usage } : {}
+    }
+  }
+
+  /**
+   * Run a chat completion, reading the answer as it is generated
+   * @private
+   */
+  async _streamChat(baseUrl, headers, input, signal, onStream) {
+    const response = await this._fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+      body: JSON.stringify({ ...input, stream: true })
+    }, signal)
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+    let buffer = ''
+    let text = ''
+    let id = null
+
+    try {
+      while (true) {
+        const { value, done } = await this._waitOrAbort(reader.read(), signal)
+        if (done) break
+
+        const { events, rest } = parseServerSentEvents(buffer + value)
+        buffer = rest
+
+        for (const event of events) {
+          if (event.data === '[DONE]') {
+            return { id, status: 'succeeded', output: text }
+          }
+
+          const chunk = JSON.parse(event.data)
+          if (chunk.error) {
+            throw new ModelError(chunk.error.message || 'Generation failed', { predictionId: id, detail: chunk.error.message })
+          }
+
+          id = chunk.id || id
+          const delta = chunk.choices?.[0]?.delta?.content
+          if (delta) {
+            text += delta
+            onStream(delta, text)
+          }
+        }
+      }
+    } finally {
+      reader.cancel().catch(() => {})
+    }
+
+    // Some compatible servers close the stream without [DONE]
+    return { id, status: 'succeeded', output: text }
+  }
+}
+
+export { OpenAIProvider }
@@ -1,14 +1,39 @@
 /**
  * Replicate API Service
- * Handles image generation using Replicate models
+ * Handles image and text generation: the request queue, result cache and mock mode,
+ * then hands each request to the provider its model declares (Replicate by default).
+ * The service is itself the Replicate provider.
  */
 
 import NANO_BANANA_PRO from './models/nano-banana-pro'
 import SEEDREAM_4 from './models/seedream-4'
 import LANG_SEGMENT_ANYTHING from './models/lang-segment-anything'
 import GPT_IMAGE_1 from './models/gpt-image-1'
+import GPT_IMAGE_1_OPENAI from './models/gpt-image-1-openai'
 import GPT_5 from './models/gpt-5'
+import STABLE_DIFFUSION_A1111 from './models/stable-diffusion-a1111'
+import STABLE_DIFFUSION_COMFYUI from './models/stable-diffusion-comfyui'
 import { useSettingsStore } from '@/stores/settings'
+import {
+  ServiceError,
+  AuthError,
+  ValidationError,
+  ModelError,
+  NetworkError,
+  TimeoutError,
+  CanceledError,
+  createHttpError
+} from './errors'
+import { BaseProvider, isTerminalStatus } from './providers/base-provider'
+import { OpenAIProvider } from './providers/openai'
+import { HttpProvider, A1111_BACKEND, COMFYUI_BACKEND } from './providers/http'
+import { RequestQueue } from './request-queue'
+import resultCache, { computeCacheKey } from './result-cache'
+import mockProvider from './mock-provider'
+import { convertImageUrlToBase64, isHttpUrl } from '@/lib/image-utils'
+import { parseServerSentEvents } from '@/lib/server-sent-events'
+import { createCustomModel } from '@/lib/custom-models'
+import { validateParams } from '@/lib/param-validation'
 
 /**
  * Registry of available models
@@ -18,7 +43,10 @@ const MODELS = {
   'seedream-4': SEEDREAM_4,
   'lang-segment-anything': LANG_SEGMENT_ANYTHING,
   'gpt-image-1': GPT_IMAGE_1,
+  'gpt-image-1-openai': GPT_IMAGE_1_OPENAI,
   'gpt-5': GPT_5,
+  'stable-diffusion-a1111': STABLE_DIFFUSION_A1111,
+  'stable-diffusion-comfyui': STABLE_DIFFUSION_COMFYUI,
   'default': NANO_BANANA_PRO
 }
 
@@ -28,16 +56,138 @@ const MODELS = {
 const DEFAULT_CONFIG = {
   timeout: 120000, // 2 minutes
   apiUrl: import.meta.env.VITE_BASE_URL_API || 'http://localhost:8787',
-  model: 'nano-banana-pro'
+  model: 'nano-banana-pro',
+  maxConcurrency: 3, // Predictions running at once (overridden by settings)
+  maxRetries: 4, // Retries for 429 and 5xx responses
+  retryBaseDelay: 1000, // Doubled on every retry
+  retryMaxDelay: 30000,
+  pendingWait: 5 // Seconds to hold the create request when the caller tracks pending predictions
+}
+
+/**
+ * Check if a response status is worth retrying
+ * @param {number} status - HTTP status
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500
+}
+
+const PROGRESS_LOG_LINES = 6
+
+/**
+ * Parse the latest step progress printed in prediction logs
+ * Understands percentages ("45%") and step counters ("9/20", tqdm style)
+ * @param {string|null} logs - Prediction logs
+ * @returns {number|null} Percent (0-100), or null if the logs show no progress
+ */
+function parseProgressPercent(logs) {
+  if (!logs) return null
+
+  const lines = logs.trim().split(/[\r\n]+/).reverse()
+
+  for (const line of lines) {
+    const percentMatch = line.match(/(\d{1,3})%/)
+    if (percentMatch) {
+      return Math.min(100, Number(percentMatch[1]))
+    }
+
+    const stepMatch = line.match(/\b(\d+)\s*\/\s*(\d+)\b/)
+    const [step, total] = stepMatch ? [Number(stepMatch[1]), Number(stepMatch[2])] : []
+    if (total > 0 && step <= total) {
+      return Math.round((step / total) * 100)
+    }
+  }
+
+  return null
+}
+
+/**
+ * Get the last lines of prediction logs
+ * Progress bars rewrite their line with \r, so only the latest version of each line is kept
+ * @param {string|null} logs - Prediction logs
+ * @returns {string}
+ */
+function getLogTail(logs) {
+  if (!logs) return ''
+
+  return logs
+    .split('\n')
+    .map(line => line.split('\r').filter(Boolean).pop() || '')
+    .filter(line => line.trim())
+    .slice(-PROGRESS_LOG_LINES)
+    .join('\n')
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in ms, or null if missing/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null
+
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000)
+  }
+
+  const date = Date.parse(value)
+  if (Number.isNaN(date)) return null
+
+  return Math.max(0, date - Date.now())
 }
 
 /**
  * ReplicateService class
  */
-class ReplicateService {
+class ReplicateService extends BaseProvider {
   constructor(config = {}) {
+    super('replicate', 'Replicate')
     this.config = { ...DEFAULT_CONFIG, ...config }
     this.apiToken = null
+    this.queue = new RequestQueue({ maxConcurrency: this.config.maxConcurrency })
+    this.providers = {
+      replicate: this,
+      openai: new OpenAIProvider(),
+      a1111: new HttpProvider('a1111', 'Automatic1111', A1111_BACKEND),
+      comfyui: new HttpProvider('comfyui', 'ComfyUI', COMFYUI_BACKEND),
+      http: new HttpProvider('http', 'HTTP backend')
+    }
+    this.customModelIds = []
+    this.customModelsKey = null
+  }
+
+  /**
+   * Get the provider a model runs on
+   * @param {Object} model - Model configuration (`provider` defaults to 'replicate')
+   * @returns {BaseProvider}
+   * @throws {ValidationError} If the provider is unknown
+   */
+  getProvider(model) {
+    const providerId = model.provider || 'replicate'
+    const provider = this.providers[providerId]
+    if (!provider) {
+      throw new ValidationError(`Unknown provider "${providerId}" for model "${model.id}"`)
+    }
+    return provider
+  }
+
+  /**
+   * Register a new provider
+   * @param {string} id - Provider identifier, referenced by model configs
+   * @param {BaseProvider} provider - Provider instance
+   */
+  registerProvider(id, provider) {
+    this.providers[id] = provider
+  }
+
+  /**
+   * Check if a Replicate token is available
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.getApiToken())
   }
 
   /**
@@ -72,12 +222,137 @@ class ReplicateService {
     return null
   }
 
+  /**
+   * Get the maximum number of concurrent predictions from settings or config
+   * @returns {number}
+   */
+  getMaxConcurrency() {
+    try {
+      const settingsStore = useSettingsStore()
+      if (settingsStore.maxConcurrentRequests) {
+        return settingsStore.maxConcurrentRequests
+      }
+    } catch (error) {
+      console.warn('Could not access settings store:', error)
+    }
+
+    return this.config.maxConcurrency
+  }
+
+  /**
+   * Check if generations should use the offline mock provider
+   * @param {Object} [model] - Model configuration (default: any Replicate model)
+   * @returns {boolean} True when mock mode is on in settings, or the model's provider is not configured
+   */
+  isMockMode(model = {}) {
+    if (!this.getProvider(model).isConfigured()) return true
+
+    try {
+      return Boolean(useSettingsStore().mockMode)
+    } catch (error) {
+      console.warn('Could not access settings store:', error)
+      return false
+    }
+  }
+
+  /**
+   * Check if results should be read from and written to the result cache
+   * @returns {boolean}
+   */
+  isCacheEnabled() {
+    try {
+      return Boolean(useSettingsStore().resultCacheEnabled)
+    } catch (error) {
+      console.warn('Could not access settings store:', error)
+      return false
+    }
+  }
+
+  /**
+   * Answer from the result cache when possible, otherwise run the request and cache its result
+   * The cache never fails a generation: read/write errors are only logged
+   * @param {Object} model - Model configuration
+   * @param {Object} input - Built API input payload
+   * @param {boolean} forceRegenerate - Skip the lookup (the new result still replaces the cached one)
+   * @param {Function} run - Performs the request, resolves with the parsed result
+   * @returns {Promise<Object>} Parsed result with `cached` set to true when it came from the cache
+   * @private
+   */
+  async _withCache(model, input, forceRegenerate, run) {
+    if (!this.isCacheEnabled()) {
+      return run()
+    }
+
+    const key = await computeCacheKey(model, input)
+
+    if (!forceRegenerate) {
+      try {
+        const cached = await resultCache.get(key)
+        if (cached) {
+          console.log(`Result cache hit for ${model.id}`)
+          return { ...cached, cached: true }
+        }
+      } catch (error) {
+        console.warn('Could not read result cache:', error)
+      }
+    }
+
+    const result = await this._inlineImages(await run())
+
+    try {
+      await resultCache.set(key, result)
+    } catch (error) {
+      console.warn('Could not write result cache:', error)
+    }
+
+    return { ...result, cached: false }
+  }
+
+  /**
+   * Replace output image URLs with data URLs (Replicate URLs expire, cached results must not)
+   * @param {Object} result - Parsed result
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _inlineImages(result) {
+    if (!result.imageUrls?.length) {
+      return result
+    }
+
+    const imageUrls = await Promise.all(result.imageUrls.map(async (url) => {
+      if (!isHttpUrl(url)) return url
+
+      try {
+        return await convertImageUrlToBase64(url)
+      } catch (error) {
+        console.warn('Failed to inline image for the result cache, keeping URL:', error)
+        return url
+      }
+    }))
+
+    return { ...result, imageUrl: imageUrls[0], imageUrls }
+  }
+
+  /**
+   * Run a request through the shared queue
+   * @param {Function} task - Async function performing the request
+   * @param {AbortSignal|null} signal - Removes the request from the queue while waiting
+   * @param {Function} [onQueuePosition] - Called with the queue position (0 once started)
+   * @returns {Promise}
+   * @private
+   */
+  _enqueue(task, signal, onQueuePosition) {
+    this.queue.setMaxConcurrency(this.getMaxConcurrency())
+    return this.queue.enqueue(task, { signal, onPosition: onQueuePosition })
+  }
+
   /**
    * Get model configuration
    * @param {string} modelId - Model identifier
    * @returns {Object} Model configuration
    */
   getModel(modelId) {
+    this._syncCustomModels()
     const model = MODELS[modelId] || MODELS.default
     if (!model) {
       throw new Error(`Model "${modelId}" not found`)
@@ -94,12 +369,54 @@ class ReplicateService {
     MODELS[id] = modelConfig
   }
 
+  /**
+   * Remove a registered model
+   * @param {string} id - Model identifier
+   */
+  unregisterModel(id) {
+    if (id !== 'default') {
+      delete MODELS[id]
+    }
+  }
+
+  /**
+   * Register the custom models defined in Settings, replacing the previous ones when they change
+   * Reads the settings store, so computed model lists update when custom models are edited
+   * @private
+   */
+  _syncCustomModels() {
+    let definitions
+    try {
+      definitions = useSettingsStore().customModels
+    } catch {
+      return
+    }
+
+    const key = JSON.stringify(definitions)
+    if (key === this.customModelsKey) return
+
+    this.customModelIds.forEach(id => this.unregisterModel(id))
+    this.customModelIds = []
+
+    definitions.forEach(definition => {
+      try {
+        this.registerModel(definition.id, createCustomModel(definition))
+        this.customModelIds.push(definition.id)
+      } catch (error) {
+        console.warn(`Skipping invalid custom model "${definition.id}":`, error)
+      }
+    })
+
+    this.customModelsKey = key
+  }
+
   /**
    * List available models
    * @param {string} [category] - Optional category filter ('image', 'text')
    * @returns {Array<string>} Array of model IDs
    */
   listModels(category = null) {
+    this._syncCustomModels()
     const modelIds = Object.keys(MODELS).filter(id => id !== 'default')
 
     if (!category) {
@@ -133,6 +450,73 @@ class ReplicateService {
     return { ...model.defaults }
   }
 
+  /**
+   * Get the seed input of a model
+   * @param {string} modelId - Model ID
+   * @returns {Object|null} { key, min, max }, or null if the model takes no seed
+   */
+  getModelSeed(modelId) {
+    const model = this.getModel(modelId)
+    return model.seed || null
+  }
+
+  /**
+   * Get the parameters a request runs with: the model defaults, overridden by the validated params
+   * Recorded with every result so it can be reproduced
+   * @param {string} modelId - Model ID
+   * @param {Object} [params] - Parameter values
+   * @returns {Object} Effective parameters
+   * @throws {ValidationError} If the params are invalid
+   */
+  getEffectiveParams(modelId, params = {}) {
+    const model = this.getModel(modelId)
+
+    try {
+      return { ...model.defaults, ...model.validateParams(params) }
+    } catch (error) {
+      throw new ValidationError(error.message, { cause: error, fields: error.fields })
+    }
+  }
+
+  /**
+   * Check parameters against a model's toolbar controls, without sending anything
+   * @param {string} modelId - Model ID
+   * @param {Object} [params] - Parameter values
+   * @returns {Object} Error message by parameter key (empty when all are valid)
+   */
+  getParamErrors(modelId, params = {}) {
+    const model = this.getModel(modelId)
+    return validateParams(model.uiSchema?.controls || [], params).errors
+  }
+
+  /**
+   * Fetch the OpenAPI schema Replicate publishes for a model version (through the proxy)
+   * @param {string} owner - Model owner
+   * @param {string} name - Model name
+   * @param {string} [version] - Version hash (latest version if omitted)
+   * @returns {Promise<Object>} OpenAPI document, see createModelSchema() in src/lib/openapi-schema.js
+   * @throws {AuthError|ServiceError|ValidationError}
+   */
+  async fetchModelSchema(owner, name, version = null) {
+    const token = this.getApiToken()
+    if (!token) {
+      throw new AuthError('Replicate API token is required to fetch model schemas. Please configure it in Settings.')
+    }
+
+    const path = version
+      ? `/v1/models/${owner}/${name}/versions/${version}`
+      : `/v1/models/${owner}/${name}`
+    const response = await this._requestJson(`${this.config.apiUrl}${path}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    })
+
+    const schema = version ? response.openapi_schema : response.latest_version?.openapi_schema
+    if (!schema) {
+      throw new ValidationError(`${owner}/${name} has no published input schema`)
+    }
+    return schema
+  }
+
   /**
    * Generate text using Replicate API
    * @param {Object} options
@@ -140,19 +524,33 @@ class ReplicateService {
    * @param {string|Array<string>} [options.imageSrc] - Input image(s)
    * @param {string} [options.model] - Model ID to use (default: gpt-5)
    * @param {Object} [options.params] - Additional parameters
-   * @returns {Promise<Object>} Generated text result
+   * @param {AbortSignal} [options.signal] - Aborts the generation and cancels the prediction
+   * @param {Function} [options.onQueuePosition] - Called with the position in the request queue (0 once started)
+   * @param {Function} [options.onProgress] - Called with { status, elapsed, percent, logs, predictionId } while the prediction runs
+   * @param {Function} [options.onPending] - Called with { id, pollUrl } once the prediction is created and still running (see resumePrediction)
+   * @param {boolean} [options.forceRegenerate] - Ignore the result cache for this request
+   * @param {boolean} [options.stream] - Stream the output if the model supports it
+   * @param {Function} [options.onStream] - Called with (chunk, textSoFar) for every streamed chunk
+   * @returns {Promise<Object>} Generated text result (full text, once the stream completes)
    */
   async generateText(options) {
     const {
       prompt,
       imageSrc = null,
       model: modelId = 'gpt-5',
-      params = {}
+      params = {},
+      signal = null,
+      onQueuePosition,
+      onProgress = () => {},
+      onPending = null,
+      forceRegenerate = false,
+      stream = false,
+      onStream = () => {}
     } = options
 
     // Validate inputs
     if (!prompt) {
-      throw new Error('Prompt is required')
+      throw new ValidationError('Prompt is required')
     }
 
     // Get model configuration
@@ -169,12 +567,7 @@ class ReplicateService {
     console.log('  Image inputs:', imageInput.length, 'images')
 
     // Validate and build input
-    const validatedParams = model.validateParams(params)
-    const input = model.buildInput({
-      prompt,
-      imageInput,
-      params: validatedParams
-    })
+    const input = this._buildInput(model, prompt, imageInput, params)
 
     console.log('  API input payload:', {
       prompt: input.prompt?.substring(0, 50) + '...',
@@ -183,19 +576,36 @@ class ReplicateService {
       verbosity: input.verbosity
     })
 
-    // Check for API token
-    const token = this.getApiToken()
-    if (!token) {
-      throw new Error('No Replicate API token found. Please configure it in Settings.')
+    // Use the offline mock provider when there is no token (or mock mode is on)
+    if (this.isMockMode(model)) {
+      console.warn('Mock mode: generating text offline.')
+      return this._enqueue(
+        () => mockProvider.generateText({
+          model,
+          input,
+          signal,
+          onProgress,
+          onStream: stream ? onStream : null
+        }),
+        signal,
+        onQueuePosition
+      ).catch(error => {
+        throw this._handleError(error)
+      })
     }
 
-    // Build complete endpoint URL
-    const endpoint = this.config.apiUrl + model.endpointPath
-
-    // Make API call
+    // Make API call (waits for a free slot in the queue)
     try {
-      const response = await this._callApi(endpoint, input, token, model)
-      return model.parseResponse(response)
+      return await this._withCache(model, input, forceRegenerate, () => this._enqueue(
+        () => this._runPrediction(model, input, {
+          signal,
+          onProgress,
+          onPending,
+          onStream: stream && model.supportsStreaming ? onStream : null
+        }),
+        signal,
+        onQueuePosition
+      ))
     } catch (error) {
       throw this._handleError(error)
     }
@@ -208,6 +618,11 @@ class ReplicateService {
    * @param {string|Array<string>} [options.imageSrc] - Input image(s)
    * @param {string} [options.model] - Model ID to use
    * @param {Object} [options.params] - Additional parameters
+   * @param {AbortSignal} [options.signal] - Aborts the generation and cancels the prediction
+   * @param {Function} [options.onQueuePosition] - Called with the position in the request queue (0 once started)
+   * @param {Function} [options.onProgress] - Called with { status, elapsed, percent, logs, predictionId } while the prediction runs
+   * @param {Function} [options.onPending] - Called with { id, pollUrl } once the prediction is created and still running (see resumePrediction)
+   * @param {boolean} [options.forceRegenerate] - Ignore the result cache for this request
    * @returns {Promise<Object>} Generated image result
    */
   async generateImage(options) {
@@ -215,12 +630,17 @@ class ReplicateService {
       prompt,
       imageSrc = null,
       model: modelId = this.config.model,
-      params = {}
+      params = {},
+      signal = null,
+      onQueuePosition,
+      onProgress = () => {},
+      onPending = null,
+      forceRegenerate = false
     } = options
 
     // Validate inputs
     if (!prompt) {
-      throw new Error('Prompt is required')
+      throw new ValidationError('Prompt is required')
     }
 
     // Get model configuration
@@ -244,12 +664,7 @@ class ReplicateService {
     }
 
     // Validate and build input
-    const validatedParams = model.validateParams(params)
-    const input = model.buildInput({
-      prompt,
-      imageInput,
-      params: validatedParams
-    })
+    const input = this._buildInput(model, prompt, imageInput, params)
 
     console.log('  API input payload:', {
       prompt: input.prompt || input.text_prompt?.substring(0, 50) + '...',
@@ -258,75 +673,217 @@ class ReplicateService {
       ...(input.output_format && { output_format: input.output_format })
     })
 
-    // Check for API token
-    const token = this.getApiToken()
-    if (!token) {
-      console.warn('No Replicate API token found. Using mock response.')
-      return this._mockGenerate(prompt, imageInput)
+    // Use the offline mock provider when there is no token (or mock mode is on)
+    if (this.isMockMode(model)) {
+      console.warn('Mock mode: generating images offline.')
+      return this._enqueue(
+        () => mockProvider.generateImage({ model, input, imageInput, signal, onProgress }),
+        signal,
+        onQueuePosition
+      ).catch(error => {
+        throw this._handleError(error)
+      })
     }
 
-    // Build complete endpoint URL
-    const endpoint = this.config.apiUrl + model.endpointPath
-
-    // Make API call
+    // Make API call (waits for a free slot in the queue)
     try {
-      const response = await this._callApi(endpoint, input, token, model)
-      return model.parseResponse(response)
+      return await this._withCache(model, input, forceRegenerate, () => this._enqueue(
+        () => this._runPrediction(model, input, { signal, onProgress, onPending }),
+        signal,
+        onQueuePosition
+      ))
     } catch (error) {
       throw this._handleError(error)
     }
   }
 
+  /**
+   * Validate params and build the model input
+   * @param {Object} model - Model configuration
+   * @param {string} prompt - Prompt
+   * @param {Array<string>} imageInput - Input images
+   * @param {Object} params - Model parameters
+   * @returns {Object} API input payload
+   * @throws {ValidationError} If the model rejects the params or inputs
+   * @private
+   */
+  _buildInput(model, prompt, imageInput, params) {
+    try {
+      const validatedParams = model.validateParams(params)
+      return model.buildInput({
+        prompt,
+        imageInput,
+        params: validatedParams
+      })
+    } catch (error) {
+      throw new ValidationError(error.message, { cause: error, fields: error.fields })
+    }
+  }
+
   /**
    * Transform Replicate API URL to use local proxy
+   * Stream URLs (stream.replicate.com) go through the proxy's /stream path
    * @param {string} url - Original Replicate API URL
    * @returns {string} Transformed URL for local proxy
    * @private
    */
   _transformUrlToProxy(url) {
     // Replace only the domain, keeping the path (including /v1)
-    return url.replace('https://api.replicate.com', this.config.apiUrl)
+    return url
+      .replace('https://api.replicate.com', this.config.apiUrl)
+      .replace('https://stream.replicate.com', `${this.config.apiUrl}/stream`)
+  }
+
+  /**
+   * Get the delay before retrying a failed request
+   * Honors Retry-After, otherwise backs off exponentially with a little jitter
+   * @param {Response} response - Failed response
+   * @param {number} attempt - Retry attempt (0-based)
+   * @returns {number} Delay in ms
+   * @private
+   */
+  _getRetryDelay(response, attempt) {
+    const retryAfter = parseRetryAfter(response.headers?.get('Retry-After'))
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.config.retryMaxDelay)
+    }
+
+    const backoff = this.config.retryBaseDelay * 2 ** attempt
+    return Math.min(backoff, this.config.retryMaxDelay) + Math.round(Math.random() * 250)
+  }
+
+  /**
+   * Fetch, retrying rate-limited (429) and server error (5xx) responses
+   * @param {string} url - Request URL
+   * @param {Object} options - Fetch options
+   * @param {AbortSignal|null} signal - Stops waiting between retries
+   * @returns {Promise<Response>} Last response received
+   * @throws {NetworkError} If the request could not be sent
+   * @private
+   */
+  async _fetchWithRetry(url, options, signal = null) {
+    for (let attempt = 0; ; attempt++) {
+      let response
+      try {
+        response = await fetch(url, options)
+      } catch (error) {
+        // Timeouts are reported by the caller that owns the abort controller
+        if (error.name === 'AbortError') throw error
+        throw new NetworkError(undefined, { detail: error.message, cause: error })
+      }
+
+      if (!isRetryableStatus(response.status) || attempt >= this.config.maxRetries) {
+        return response
+      }
+
+      const delay = this._getRetryDelay(response, attempt)
+      console.warn(`Request failed with status ${response.status}, retrying in ${delay}ms (${attempt + 1}/${this.config.maxRetries})`)
+      await this._waitOrAbort(new Promise(resolve => setTimeout(resolve, delay)), signal)
+    }
+  }
+
+  /**
+   * Cancel a running prediction so it stops billing on Replicate
+   * @param {Object} model - Model configuration
+   * @param {Object} prediction - Running prediction (with urls.get)
+   * @returns {Promise<void>}
+   */
+  async cancel(model, prediction) {
+    if (!prediction?.urls?.get) return
+
+    const cancelUrl = `${this._transformUrlToProxy(prediction.urls.get)}/cancel`
+
+    try {
+      const response = await fetch(cancelUrl, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${this.getApiToken()}`,
+          'Content-Type': 'application/json'
+        }
+      })
+
+      if (!response.ok) {
+        console.warn(`Failed to cancel prediction (status ${response.status}): ${cancelUrl}`)
+        return
+      }
+
+      console.log(`Prediction canceled: ${cancelUrl}`)
+    } catch (error) {
+      console.warn('Failed to cancel prediction:', error)
+    }
+  }
+
+  /**
+   * Build a progress report for a prediction
+   * @param {Object} prediction - Prediction ({ id, status, logs })
+   * @param {number} startedAt - Timestamp when the request started
+   * @returns {Object} { status, elapsed, percent, logs, predictionId }
+   * @private
+   */
+  _buildProgress(prediction, startedAt) {
+    return {
+      status: prediction.status,
+      elapsed: Date.now() - startedAt,
+      percent: prediction.status === 'succeeded' ? 100 : parseProgressPercent(prediction.logs),
+      logs: getLogTail(prediction.logs),
+      predictionId: prediction.id || null
+    }
   }
 
   /**
    * Poll prediction status until completed
    * @param {string} pollUrl - URL to poll for prediction status
    * @param {string} token - API token
-   * @param {number} maxWaitTime - Maximum time to wait in ms (default: 3 minutes)
+   * @param {Object} [options]
+   * @param {number} [options.maxWaitTime] - Maximum time to wait in ms (default: 3 minutes)
+   * @param {AbortSignal} [options.signal] - Stops polling
+   * @param {Function} [options.onProgress] - Called with a progress report after every poll
+   * @param {number} [options.startedAt] - Timestamp the elapsed time is measured from
    * @returns {Promise<Object>} Final prediction response
    * @private
    */
-  async _pollPrediction(pollUrl, token, maxWaitTime = 180000) {
+  async _pollPrediction(pollUrl, token, options = {}) {
     const startTime = Date.now()
+    const {
+      maxWaitTime = 180000,
+      signal = null,
+      onProgress = () => {},
+      startedAt = startTime
+    } = options
     const pollInterval = 3500 // 3.5 seconds
 
     // Transform URL to use local proxy
     const transformedUrl = this._transformUrlToProxy(pollUrl)
     console.log(`Transformed polling URL: ${pollUrl} -> ${transformedUrl}`)
 
+    const predictionId = pollUrl.split('/').pop()
+    let logs = null
+
     while (true) {
       // Check if we've exceeded max wait time
       if (Date.now() - startTime > maxWaitTime) {
-        throw new Error('Prediction polling timeout after 3 minutes')
+        throw new TimeoutError('Prediction did not finish within 3 minutes.', { predictionId, logs })
       }
 
       // Poll the prediction status
-      const response = await fetch(transformedUrl, {
+      const response = await this._waitOrAbort(this._fetchWithRetry(transformedUrl, {
         method: 'GET',
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
         }
-      })
+      }, signal), signal)
 
       if (!response.ok) {
-        const error = await response.json().catch(() => ({}))
-        throw new Error(error.detail || `Polling failed with status ${response.status}`)
+        const body = await response.json().catch(() => ({}))
+        throw createHttpError(response.status, body, { predictionId, logs })
       }
 
       const prediction = await response.json()
+      logs = prediction.logs || logs
 
       console.log(`Polling prediction ${prediction.id}: status=${prediction.status}`)
+      onProgress(this._buildProgress(prediction, startedAt))
 
       // Check prediction status
       if (prediction.status === 'succeeded') {
@@ -334,28 +891,115 @@ class ReplicateService {
       }
 
       if (prediction.status === 'failed') {
-        throw new Error(prediction.error || 'Prediction failed')
+        throw this._predictionError(prediction)
       }
 
       if (prediction.status === 'canceled') {
-        throw new Error('Prediction was canceled')
+        throw new CanceledError('Prediction was canceled', { predictionId: prediction.id, logs: prediction.logs })
       }
 
       // Status is 'starting' or 'processing' - wait before next poll
-      await new Promise(resolve => setTimeout(resolve, pollInterval))
+      await this._delay(pollInterval, signal)
     }
   }
 
   /**
-   * Call Replicate API
-   * @param {string} endpoint - API endpoint
-   * @param {Object} input - Input payload
+   * Read a prediction's output stream (server-sent events) through the proxy
+   * @param {Object} prediction - Created prediction (with urls.stream and urls.get)
    * @param {string} token - API token
-   * @param {Object} model - Model configuration
-   * @returns {Promise<Object>} API response
+   * @param {Object} options
+   * @param {Function} options.onStream - Called with (chunk, textSoFar) for every output event
+   * @param {AbortSignal} [options.signal] - Stops reading
+   * @param {Function} [options.onProgress] - Called with a progress report when the stream opens
+   * @param {number} [options.startedAt] - Timestamp the elapsed time is measured from
+   * @returns {Promise<Object|null>} Completed prediction with the streamed output,
+   *   or null if the stream could not be read to the end (the caller should poll instead)
    * @private
    */
-  async _callApi(endpoint, input, token, model) {
+  async _streamPrediction(prediction, token, options) {
+    const { onStream, signal = null, onProgress = () => {}, startedAt = Date.now() } = options
+    const streamUrl = this._transformUrlToProxy(prediction.urls.stream)
+
+    let response
+    try {
+      response = await this._waitOrAbort(fetch(streamUrl, {
+        headers: {
+          'Accept': 'text/event-stream',
+          'Cache-Control': 'no-store'
+        }
+      }), signal)
+    } catch (error) {
+      if (error instanceof CanceledError) throw error
+      console.warn('Could not open prediction stream:', error)
+      return null
+    }
+
+    if (!response.ok || !response.body) {
+      console.warn(`Could not open prediction stream (status ${response.status})`)
+      return null
+    }
+
+    onProgress(this._buildProgress({ ...prediction, status: 'processing' }, startedAt))
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+    let buffer = ''
+    let text = ''
+
+    try {
+      while (true) {
+        const { value, done } = await this._waitOrAbort(reader.read(), signal)
+        if (done) {
+          // Closed without a "done" event - the final output has to be polled
+          return null
+        }
+
+        const { events, rest } = parseServerSentEvents(buffer + value)
+        buffer = rest
+
+        for (const event of events) {
+          if (event.type === 'output') {
+            text += event.data
+            onStream(event.data, text)
+          } else if (event.type === 'error') {
+            throw new ModelError(event.data || 'Prediction failed', {
+              predictionId: prediction.id,
+              detail: event.data
+            })
+          } else if (event.type === 'done') {
+            let reason = null
+            try {
+              reason = JSON.parse(event.data || '{}').reason
+            } catch {
+              // Empty or non-JSON payload means a normal end of stream
+            }
+
+            if (reason === 'canceled') {
+              throw new CanceledError('Prediction was canceled', { predictionId: prediction.id })
+            }
+
+            return { ...prediction, status: 'succeeded', output: [text] }
+          }
+        }
+      }
+    } finally {
+      reader.cancel().catch(() => {})
+    }
+  }
+
+  /**
+   * Create a prediction on Replicate
+   * Waits for the output (Prefer: wait) unless it is going to be streamed
+   * @param {Object} model - Model configuration
+   * @param {Object} input - Input payload
+   * @param {Object} [options] - See BaseProvider.submit
+   * @returns {Promise<Object>} Prediction
+   */
+  async submit(model, input, options = {}) {
+    const { signal = null, onProgress = () => {}, onStream = null, onPending = null, startedAt = Date.now() } = options
+    const endpoint = this.config.apiUrl + model.endpointPath
+
+    onProgress(this._buildProgress({ status: 'starting' }, startedAt))
+
     const controller = new AbortController()
     const timeoutId = setTimeout(() => controller.abort(), this.config.timeout)
 
@@ -365,45 +1009,65 @@ class ReplicateService {
         ? { version: model.version, input }
         : { input }
 
-      const response = await fetch(endpoint, {
+      const headers = {
+        'Authorization': `Bearer ${this.getApiToken()}`,
+        'Content-Type': 'application/json'
+      }
+
+      if (onStream) {
+        // Return right away with the stream URL instead of waiting for the output
+        requestBody.stream = true
+      } else if (onPending) {
+        // Return early with the prediction URL so a reload does not lose the prediction
+        headers['Prefer'] = `wait=${this.config.pendingWait}`
+      } else {
+        headers['Prefer'] = 'wait' // Wait for synchronous response (up to 60s)
+      }
+
+      const request = this._fetchWithRetry(endpoint, {
         method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-          'Prefer': 'wait' // Wait for synchronous response (up to 60s)
-        },
+        headers,
         body: JSON.stringify(requestBody),
         signal: controller.signal
+      }, signal)
+
+      // The prediction keeps running server-side if we stop waiting here,
+      // so cancel it as soon as its URL is known
+      const response = await this._waitOrAbort(request, signal, () => {
+        request
+          .then(res => (res.ok ? res.json() : null))
+          .then(prediction => {
+            if (prediction && prediction.status !== 'succeeded') {
+              return this.cancel(model, prediction)
+            }
+          })
+          .catch(() => {})
       })
 
       clearTimeout(timeoutId)
 
       if (!response.ok) {
-        const error = await response.json().catch(() => ({}))
-        throw new Error(error.detail || `API request failed with status ${response.status}`)
+        const body = await response.json().catch(() => ({}))
+        throw createHttpError(response.status, body)
       }
 
       const prediction = await response.json()
+      onProgress(this._buildProgress(prediction, startedAt))
 
-      // Check if prediction is already completed
       if (prediction.status === 'succeeded') {
         console.log('Prediction completed immediately')
-        return prediction
       }
 
-      // If not succeeded, we need to poll using urls.get
-      if (prediction.urls && prediction.urls.get) {
-        console.log(`Prediction not ready (status: ${prediction.status}), starting polling...`)
-        return await this._pollPrediction(prediction.urls.get, token)
+      if (prediction.status === 'failed') {
+        throw this._predictionError(prediction)
       }
 
-      // Fallback: if no urls.get, return as is (shouldn't happen normally)
       return prediction
     } catch (error) {
       clearTimeout(timeoutId)
 
       if (error.name === 'AbortError') {
-        throw new Error(`Request timeout after ${this.config.timeout}ms`)
+        throw new TimeoutError(`Request timed out after ${this.config.timeout / 1000}s. Please try again.`)
       }
 
       throw error
@@ -411,54 +1075,172 @@ class ReplicateService {
   }
 
   /**
-   * Mock generation for development/testing
-   * @param {string} prompt
-   * @param {Array} imageInput
-   * @returns {Promise<Object>}
-   * @private
+   * Wait for a Replicate prediction: read its stream when asked to, otherwise poll urls.get
+   * @param {Object} model - Model configuration
+   * @param {Object} prediction - Prediction returned by submit()
+   * @param {Object} [options] - See BaseProvider.submit
+   * @returns {Promise<Object>} Finished prediction
    */
-  async _mockGenerate(prompt, imageInput) {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 1500))
+  async poll(model, prediction, options = {}) {
+    const { signal = null, onProgress = () => {}, onStream = null, startedAt = Date.now() } = options
+    const token = this.getApiToken()
 
-    // Generate mock image URL
-    const text = encodeURIComponent(prompt.substring(0, 30))
-    const color = Math.random() > 0.5 ? '4CAF50' : '2196F3'
-    const imageUrl = `https://via.placeholder.com/512x512/${color}/FFFFFF?text=${text}`
+    if (onStream && prediction.urls?.stream) {
+      const streamed = await this._streamPrediction(prediction, token, { signal, onStream, onProgress, startedAt })
+      if (streamed) {
+        return streamed
+      }
+      console.warn('Stream unavailable or interrupted, falling back to polling')
+    }
 
-    return {
-      imageUrl,
-      id: `mock_${Date.now()}`,
-      status: 'succeeded',
-      model: 'mock',
-      isMock: true
+    // If not succeeded, we need to poll using urls.get
+    if (prediction.urls && prediction.urls.get) {
+      console.log(`Prediction not ready (status: ${prediction.status}), starting polling...`)
+      return this._pollPrediction(prediction.urls.get, token, { signal, onProgress, startedAt })
     }
+
+    // Fallback: if no urls.get, return as is (shouldn't happen normally)
+    return prediction
   }
 
   /**
-   * Handle and format errors
-   * @param {Error} error
-   * @returns {Error}
+   * Describe a running Replicate prediction by its URL, to poll it again after a reload
+   * @param {Object} model - Model configuration
+   * @param {Object} prediction - Running prediction
+   * @returns {Object|null} { id, pollUrl }, null without urls.get
+   */
+  toPending(model, prediction) {
+    return prediction.urls?.get ? { id: prediction.id, pollUrl: prediction.urls.get } : null
+  }
+
+  /**
+   * Rebuild a running Replicate prediction from { id, pollUrl }
+   * @param {Object} model - Model configuration
+   * @param {Object} pending - Reference returned by toPending()
+   * @returns {Object} Prediction
+   */
+  fromPending(model, pending) {
+    if (!pending.pollUrl) {
+      throw new ValidationError('The pending prediction has no URL to poll')
+    }
+    return { id: pending.id, status: 'starting', urls: { get: pending.pollUrl } }
+  }
+
+  /**
+   * Run a prediction on the model's provider: submit, wait for it to finish, parse the output
+   * A prediction still running when the signal aborts is canceled on the provider
+   * @param {Object} model - Model configuration
+   * @param {Object} input - Built input payload
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the generation
+   * @param {Function} [options.onProgress] - Called with progress reports
+   * @param {Function} [options.onStream] - Stream the output through this callback
+   * @param {Function} [options.onPending] - Called with { provider, id, ... } if the prediction is still running after submit
+   *   and the provider can resume it (see BaseProvider.toPending)
+   * @returns {Promise<Object>} Parsed result
    * @private
    */
-  _handleError(error) {
-    if (error.message.includes('timeout')) {
-      return new Error('Image generation timed out. Please try again.')
+  async _runPrediction(model, input, options = {}) {
+    const { signal = null, onPending = null } = options
+    const provider = this.getProvider(model)
+
+    if (signal?.aborted) {
+      throw new CanceledError()
+    }
+
+    const context = { ...options, startedAt: Date.now() }
+    let prediction = await provider.submit(model, input, context)
+
+    if (!isTerminalStatus(prediction.status)) {
+      const pending = onPending ? provider.toPending(model, prediction) : null
+      if (pending) {
+        onPending({ provider: provider.id, ...pending })
+      }
+
+      try {
+        prediction = await provider.poll(model, prediction, context)
+      } catch (error) {
+        if (error instanceof CanceledError && signal?.aborted) {
+          provider.cancel(model, prediction)
+        }
+        throw error
+      }
     }
 
-    if (error.message.includes('401') || error.message.includes('403')) {
-      return new Error('Invalid API token. Please check your Replicate API key.')
+    if (prediction.status === 'canceled') {
+      throw new CanceledError('Prediction was canceled', { predictionId: prediction.id, logs: prediction.logs })
     }
 
-    if (error.message.includes('429')) {
-      return new Error('Rate limit exceeded. Please try again later.')
+    return provider.parse(model, prediction)
+  }
+
+  /**
+   * Wait again for a prediction created before the page was reloaded
+   * Polls it through the provider that created it (outside the request queue: the prediction is already running)
+   * @param {Object} options
+   * @param {string} options.model - Model ID the prediction was created with
+   * @param {Object} options.pending - Reference saved from onPending ({ provider, id, ... })
+   * @param {AbortSignal} [options.signal] - Stops waiting and cancels the prediction
+   * @param {Function} [options.onProgress] - Called with { status, elapsed, percent, logs, predictionId } after every poll
+   * @param {number} [options.startedAt] - When the prediction was created, for the elapsed time
+   * @returns {Promise<Object>} Parsed result, like generateImage/generateText
+   */
+  async resumePrediction(options) {
+    const {
+      model: modelId,
+      pending,
+      signal = null,
+      onProgress = () => {},
+      startedAt = Date.now()
+    } = options
+
+    try {
+      const model = this.getModel(modelId)
+      const provider = this.getProvider(model)
+
+      // The model may have moved to another backend since the prediction was created
+      const createdOn = pending.provider || 'replicate'
+      if (createdOn !== provider.id) {
+        throw new ValidationError(`This prediction was created on ${createdOn}, but ${model.name} now runs on ${provider.name}`)
+      }
+
+      if (!provider.isConfigured()) {
+        throw new AuthError(`${provider.name} is not configured, so the pending prediction can't be resumed. Please check Settings.`)
+      }
+
+      let prediction = provider.fromPending(model, pending)
+
+      try {
+        prediction = await provider.poll(model, prediction, { signal, onProgress, startedAt })
+      } catch (error) {
+        if (error instanceof CanceledError && signal?.aborted) {
+          provider.cancel(model, prediction)
+        }
+        throw error
+      }
+
+      if (prediction.status === 'canceled') {
+        throw new CanceledError('Prediction was canceled', { predictionId: prediction.id, logs: prediction.logs })
+      }
+
+      return provider.parse(model, prediction)
+    } catch (error) {
+      throw this._handleError(error)
     }
+  }
 
-    if (error.message.includes('500') || error.message.includes('503')) {
-      return new Error('Replicate service is temporarily unavailable. Please try again later.')
+  /**
+   * Make sure every error leaving the service is a ServiceError
+   * @param {Error} error
+   * @returns {ServiceError}
+   * @private
+   */
+  _handleError(error) {
+    if (error instanceof ServiceError) {
+      return error
     }
 
-    return error
+    return new ServiceError(error.message || 'Generation failed', { cause: error })
   }
 }
 
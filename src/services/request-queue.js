@@ -0,0 +1,115 @@
+/**
+ * Request Queue
+ * Limits how many generation requests run at once; the others wait in FIFO order
+ */
+
+import { CanceledError } from './errors'
+
+class RequestQueue {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxConcurrency] - Maximum number of jobs running at once
+   */
+  constructor({ maxConcurrency = 3 } = {}) {
+    this.maxConcurrency = maxConcurrency
+    this.activeCount = 0
+    this.waiting = []
+  }
+
+  /**
+   * Change the concurrency limit (waiting jobs start right away if it grows)
+   * @param {number} value - Maximum number of jobs running at once (min 1)
+   */
+  setMaxConcurrency(value) {
+    this.maxConcurrency = Math.max(1, Math.floor(value) || 1)
+    this._drain()
+  }
+
+  /**
+   * Number of jobs waiting for a free slot
+   * @returns {number}
+   */
+  get waitingCount() {
+    return this.waiting.length
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Function} task - Async function started once a slot is free
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Removes the job while it is still waiting
+   * @param {Function} [options.onPosition] - Called with the 1-based queue position while waiting, and 0 when the job starts
+   * @returns {Promise} Settles with the task's result
+   */
+  enqueue(task, options = {}) {
+    const { signal = null, onPosition = () => {} } = options
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new CanceledError())
+        return
+      }
+
+      const job = { task, resolve, reject, onPosition, signal, handleAbort: null }
+
+      if (signal) {
+        // Once started, the task handles the signal itself
+        job.handleAbort = () => {
+          const index = this.waiting.indexOf(job)
+          if (index === -1) return
+
+          this.waiting.splice(index, 1)
+          this._notifyPositions()
+          reject(new CanceledError())
+        }
+        signal.addEventListener('abort', job.handleAbort, { once: true })
+      }
+
+      this.waiting.push(job)
+      this._drain()
+      this._notifyPositions()
+    })
+  }
+
+  /**
+   * Start waiting jobs while there are free slots
+   * @private
+   */
+  _drain() {
+    while (this.activeCount < this.maxConcurrency && this.waiting.length > 0) {
+      this._start(this.waiting.shift())
+    }
+  }
+
+  /**
+   * Run a job and free its slot when it settles
+   * @private
+   */
+  _start(job) {
+    if (job.handleAbort) {
+      job.signal.removeEventListener('abort', job.handleAbort)
+    }
+
+    this.activeCount++
+    job.onPosition(0)
+
+    Promise.resolve()
+      .then(job.task)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        this.activeCount--
+        this._drain()
+        this._notifyPositions()
+      })
+  }
+
+  /**
+   * Report the current position of every waiting job
+   * @private
+   */
+  _notifyPositions() {
+    this.waiting.forEach((job, index) => job.onPosition(index + 1))
+  }
+}
+
+export { RequestQueue }
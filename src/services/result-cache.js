@@ -0,0 +1,123 @@
+/**
+ * Result Cache
+ * Stores generation results in IndexedDB, keyed by a hash of the model and its input payload,
+ * so identical requests can be answered without a new prediction
+ */
+
+import { isIndexedDbAvailable, openDatabase, runTransaction } from '@/lib/idb'
+import { hashString, stableStringify } from '@/lib/staleness'
+
+const DB_NAME = 'flora-result-cache'
+const DB_VERSION = 1
+const RESULTS_STORE = 'results'
+// Sizes live in their own store so stats don't load every cached image
+const META_STORE = 'meta'
+
+/**
+ * Compute the cache key for a request
+ * @param {Object} model - Model configuration ({ id, version })
+ * @param {Object} input - Built API input payload
+ * @returns {Promise<string>} Hex digest (SHA-256 when available)
+ */
+export async function computeCacheKey(model, input) {
+  const payload = stableStringify({ model: model.id, version: model.version || null, input })
+
+  if (globalThis.crypto?.subtle) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(payload))
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('')
+  }
+
+  // Insecure contexts have no SubtleCrypto
+  return hashString(payload)
+}
+
+class ResultCache {
+  constructor() {
+    this.dbPromise = null
+  }
+
+  /**
+   * Open the database once and reuse the connection
+   * @returns {Promise<IDBDatabase>}
+   * @private
+   */
+  _open() {
+    if (!isIndexedDbAvailable()) {
+      return Promise.reject(new Error('IndexedDB is not available'))
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        db.createObjectStore(RESULTS_STORE)
+        db.createObjectStore(META_STORE)
+      }).catch((error) => {
+        this.dbPromise = null
+        throw error
+      })
+    }
+
+    return this.dbPromise
+  }
+
+  /**
+   * Get a cached result
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Cached result or null
+   */
+  async get(key) {
+    const db = await this._open()
+    const result = await runTransaction(db, RESULTS_STORE, 'readonly', store => store.get(key))
+    return result ?? null
+  }
+
+  /**
+   * Store a result
+   * @param {string} key - Cache key
+   * @param {Object} result - Result to store (must be structured-cloneable)
+   * @returns {Promise<void>}
+   */
+  async set(key, result) {
+    const db = await this._open()
+    const size = JSON.stringify(result).length
+
+    await runTransaction(db, [RESULTS_STORE, META_STORE], 'readwrite', (results, meta) => {
+      results.put(result, key)
+      meta.put({ size, createdAt: new Date().toISOString() }, key)
+    })
+  }
+
+  /**
+   * Remove every cached result
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this._open()
+
+    await runTransaction(db, [RESULTS_STORE, META_STORE], 'readwrite', (results, meta) => {
+      results.clear()
+      meta.clear()
+    })
+  }
+
+  /**
+   * Get the number of cached results and their approximate size
+   * @returns {Promise<Object>} { count, size } - size in bytes
+   */
+  async getStats() {
+    const db = await this._open()
+    const entries = await runTransaction(db, META_STORE, 'readonly', store => store.getAll())
+
+    return {
+      count: entries.length,
+      size: entries.reduce((total, entry) => total + (entry.size || 0), 0)
+    }
+  }
+}
+
+// Create and export singleton instance
+const resultCache = new ResultCache()
+
+export default resultCache
+
+// Export class for testing
+export { ResultCache }
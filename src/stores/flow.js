@@ -1,5 +1,6 @@
 import { defineStore } from 'pinia'
-import { ref } from 'vue'
+import { ref, computed } from 'vue'
+import { findStaleNodeIds } from '@/lib/staleness'
 
 export const useFlowStore = defineStore('flow', () => {
   // State
@@ -7,6 +8,10 @@ export const useFlowStore = defineStore('flow', () => {
   const edges = ref([])
   const isLoading = ref(false)
   const error = ref(null)
+  const nodeStatus = ref({})
+
+  // Getters
+  const staleNodeIds = computed(() => findStaleNodeIds(nodes.value, edges.value))
 
   // Actions
   const reset = () => {
@@ -14,6 +19,7 @@ export const useFlowStore = defineStore('flow', () => {
     edges.value = []
     error.value = null
     isLoading.value = false
+    nodeStatus.value = {}
   }
 
   const setLoading = (loading) => {
@@ -28,14 +34,26 @@ export const useFlowStore = defineStore('flow', () => {
     error.value = null
   }
 
+  const setNodeStatus = (nodeId, status) => {
+    nodeStatus.value[nodeId] = status
+  }
+
+  const clearNodeStatus = () => {
+    nodeStatus.value = {}
+  }
+
   return {
     nodes,
     edges,
     isLoading,
     error,
+    nodeStatus,
+    staleNodeIds,
     reset,
     setLoading,
     setError,
-    clearError
+    clearError,
+    setNodeStatus,
+    clearNodeStatus
   }
 })
@@ -43,12 +43,30 @@ export const useSettingsStore = defineStore('settings', () => {
   const replicateApiKey = ref(persisted.replicateApiKey ?? '')
   const openaiApiKey = ref(persisted.openaiApiKey ?? '')
 
+  // Generation Settings
+  const maxConcurrentRequests = ref(persisted.maxConcurrentRequests ?? 3)
+  const resultCacheEnabled = ref(persisted.resultCacheEnabled ?? false)
+  const mockMode = ref(persisted.mockMode ?? false)
+
+  // Custom Models Settings (definitions, see src/lib/custom-models.js)
+  const customModels = ref(persisted.customModels ?? [])
+
+  // Local Servers Settings (empty: the provider's default address, see src/services/providers/http.js)
+  const a1111Url = ref(persisted.a1111Url ?? '')
+  const comfyuiUrl = ref(persisted.comfyuiUrl ?? '')
+
   // Watch for changes and persist to localStorage
   watch(
     () => ({
       showNodeHeaders: showNodeHeaders.value,
       replicateApiKey: replicateApiKey.value,
-      openaiApiKey: openaiApiKey.value
+      openaiApiKey: openaiApiKey.value,
+      maxConcurrentRequests: maxConcurrentRequests.value,
+      resultCacheEnabled: resultCacheEnabled.value,
+      mockMode: mockMode.value,
+      customModels: customModels.value,
+      a1111Url: a1111Url.value,
+      comfyuiUrl: comfyuiUrl.value
     }),
     (settings) => {
       saveSettings(settings)
@@ -74,6 +92,60 @@ export const useSettingsStore = defineStore('settings', () => {
     openaiApiKey.value = key
   }
 
+  // Generation Actions
+  function setMaxConcurrentRequests(value) {
+    maxConcurrentRequests.value = Math.min(10, Math.max(1, Math.floor(value) || 1))
+  }
+
+  function setResultCacheEnabled(value) {
+    resultCacheEnabled.value = value
+  }
+
+  function setMockMode(value) {
+    mockMode.value = value
+  }
+
+  // Custom Models Actions
+  /**
+   * Add a custom model definition, replacing the one with the same id
+   * @param {Object} definition - Custom model definition
+   */
+  function saveCustomModel(definition) {
+    const index = customModels.value.findIndex(model => model.id === definition.id)
+    if (index === -1) {
+      customModels.value.push(definition)
+    } else {
+      customModels.value.splice(index, 1, definition)
+    }
+  }
+
+  /**
+   * Remove a custom model definition
+   * @param {string} id - Model id ("owner/name")
+   */
+  function removeCustomModel(id) {
+    customModels.value = customModels.value.filter(model => model.id !== id)
+  }
+
+  // Local Servers Actions
+  function setA1111Url(url) {
+    a1111Url.value = url.trim()
+  }
+
+  function setComfyuiUrl(url) {
+    comfyuiUrl.value = url.trim()
+  }
+
+  /**
+   * Get the server address set for a self-hosted provider
+   * @param {string} providerId - 'a1111' or 'comfyui'
+   * @returns {string|null} Address, or null to use the provider's default
+   */
+  function getServerUrl(providerId) {
+    const urls = { a1111: a1111Url.value, comfyui: comfyuiUrl.value }
+    return urls[providerId] || null
+  }
+
   /**
    * Get Replicate API key from settings
    */
@@ -101,12 +173,26 @@ export const useSettingsStore = defineStore('settings', () => {
     showNodeHeaders,
     replicateApiKey,
     openaiApiKey,
+    maxConcurrentRequests,
+    resultCacheEnabled,
+    mockMode,
+    customModels,
+    a1111Url,
+    comfyuiUrl,
 
     // Actions
     toggleNodeHeaders,
     setNodeHeaders,
     setReplicateApiKey,
     setOpenaiApiKey,
+    setMaxConcurrentRequests,
+    setResultCacheEnabled,
+    setMockMode,
+    saveCustomModel,
+    removeCustomModel,
+    setA1111Url,
+    setComfyuiUrl,
+    getServerUrl,
     getReplicateApiKey,
     getOpenaiApiKey,
     clearApiKeys